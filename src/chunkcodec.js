@@ -0,0 +1,461 @@
+/**
+ * Compact binary encoding for chunk data.
+ *
+ * Every string, texture names and property keys alike, is written once into a palette and referred
+ * to by index. Tiles are split into their z and everything else, the distinct "everything else"
+ * objects go into a tile palette, and the grid is written as runs of equal tile and z. Decoding
+ * gives back the same plain object addChunk was given. Like the mesher, nothing in here touches
+ * three.js or the DOM.
+ */
+
+const CHUNK_MAGIC = "S3DC";
+const CHUNK_VERSION = 1;
+
+const TAG_NULL = 0;
+const TAG_FALSE = 1;
+const TAG_TRUE = 2;
+const TAG_INT = 3;
+const TAG_FLOAT = 4;
+const TAG_STRING = 5;
+const TAG_ARRAY = 6;
+const TAG_OBJECT = 7;
+const TAG_UNDEFINED = 8;
+
+// grid slots, tile palette entries start after these
+const SLOT_NULL = 0;
+const SLOT_EMPTY = 1;
+const SLOT_FIRST_TILE = 2;
+
+const MAX_VARINT = Math.pow(2, 52);
+
+function createWriter() {
+    const writer = {
+        bytes: new Uint8Array(1024),
+        length: 0
+    };
+
+    return writer;
+}
+
+function ensureCapacity(writer, count) {
+    if(writer.length + count <= writer.bytes.length) {
+        return;
+    }
+
+    let size = writer.bytes.length * 2;
+
+    while(size < writer.length + count) {
+        size *= 2;
+    }
+
+    const bytes = new Uint8Array(size);
+    bytes.set(writer.bytes.subarray(0, writer.length));
+    writer.bytes = bytes;
+}
+
+function writeByte(writer, value) {
+    ensureCapacity(writer, 1);
+    writer.bytes[writer.length++] = value;
+}
+
+function writeBytes(writer, bytes) {
+    ensureCapacity(writer, bytes.length);
+    writer.bytes.set(bytes, writer.length);
+    writer.length += bytes.length;
+}
+
+// unsigned, seven bits a byte, arithmetic instead of bit ops so values past 32 bits survive
+function writeVarint(writer, value) {
+    while(value >= 128) {
+        writeByte(writer, (value % 128) + 128);
+        value = Math.floor(value / 128);
+    }
+
+    writeByte(writer, value);
+}
+
+function writeFloat(writer, value) {
+    ensureCapacity(writer, 8);
+    new DataView(writer.bytes.buffer).setFloat64(writer.length, value, true);
+    writer.length += 8;
+}
+
+function getStringIndex(palette, str) {
+    let idx = palette.indices.get(str);
+
+    if(idx == undefined) {
+        idx = palette.strings.length;
+        palette.strings.push(str);
+        palette.indices.set(str, idx);
+    }
+
+    return idx;
+}
+
+function writeValue(writer, palette, value) {
+    if(value === null) {
+        writeByte(writer, TAG_NULL);
+        return;
+    }
+
+    if(value === undefined) {
+        writeByte(writer, TAG_UNDEFINED);
+        return;
+    }
+
+    if(value === true || value === false) {
+        writeByte(writer, value ? TAG_TRUE : TAG_FALSE);
+        return;
+    }
+
+    if(typeof value == "number") {
+        if(Number.isInteger(value) && Math.abs(value) < MAX_VARINT && !Object.is(value, -0)) {
+            writeByte(writer, TAG_INT);
+            writeVarint(writer, value >= 0 ? value * 2 : -value * 2 - 1);
+        } else {
+            writeByte(writer, TAG_FLOAT);
+            writeFloat(writer, value);
+        }
+
+        return;
+    }
+
+    if(typeof value == "string") {
+        writeByte(writer, TAG_STRING);
+        writeVarint(writer, getStringIndex(palette, value));
+        return;
+    }
+
+    if(Array.isArray(value)) {
+        writeByte(writer, TAG_ARRAY);
+        writeVarint(writer, value.length);
+
+        for(let i = 0; i < value.length; i++) {
+            writeValue(writer, palette, value[i]);
+        }
+
+        return;
+    }
+
+    const keys = Object.keys(value);
+
+    writeByte(writer, TAG_OBJECT);
+    writeVarint(writer, keys.length);
+
+    for(const key of keys) {
+        writeVarint(writer, getStringIndex(palette, key));
+        writeValue(writer, palette, value[key]);
+    }
+}
+
+function createReader(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    return {
+        bytes: bytes,
+        view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        offset: 0,
+        strings: null
+    };
+}
+
+function readByte(reader) {
+    if(reader.offset >= reader.bytes.length) {
+        throw new Error("chunk data ends early");
+    }
+
+    return reader.bytes[reader.offset++];
+}
+
+function readVarint(reader) {
+    let value = 0;
+    let scale = 1;
+    let byte = readByte(reader);
+
+    while(byte >= 128) {
+        value += (byte - 128) * scale;
+        scale *= 128;
+        byte = readByte(reader);
+    }
+
+    return value + byte * scale;
+}
+
+function readValue(reader) {
+    const tag = readByte(reader);
+
+    if(tag == TAG_NULL) {
+        return null;
+    }
+
+    if(tag == TAG_UNDEFINED) {
+        return undefined;
+    }
+
+    if(tag == TAG_FALSE || tag == TAG_TRUE) {
+        return tag == TAG_TRUE;
+    }
+
+    if(tag == TAG_INT) {
+        const zigzag = readVarint(reader);
+
+        return zigzag % 2 == 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+    }
+
+    if(tag == TAG_FLOAT) {
+        const value = reader.view.getFloat64(reader.offset, true);
+        reader.offset += 8;
+
+        return value;
+    }
+
+    if(tag == TAG_STRING) {
+        return reader.strings[readVarint(reader)];
+    }
+
+    if(tag == TAG_ARRAY) {
+        const length = readVarint(reader);
+        const arr = new Array(length);
+
+        for(let i = 0; i < length; i++) {
+            arr[i] = readValue(reader);
+        }
+
+        return arr;
+    }
+
+    if(tag == TAG_OBJECT) {
+        const count = readVarint(reader);
+        const obj = {};
+
+        for(let i = 0; i < count; i++) {
+            const key = reader.strings[readVarint(reader)];
+            obj[key] = readValue(reader);
+        }
+
+        return obj;
+    }
+
+    throw new Error("unknown chunk data tag " + tag);
+}
+
+/**
+ * Encode chunk data, the same object addChunk takes, into the compact binary format.
+ * @param {object} data - chunk data with its data[x][z] tile grid
+ * @returns {ArrayBuffer} the encoded chunk
+ */
+export function encodeChunkData(data) {
+    const palette = {
+        strings: [],
+        indices: new Map()
+    };
+
+    const body = createWriter();
+
+    // everything but the grid goes through as it is
+    const meta = Object.assign({}, data);
+    delete meta.data;
+
+    writeValue(body, palette, meta);
+
+    const grid = data.data || [];
+    const tileIndices = new Map();
+    const tiles = createWriter();
+    const scratch = createWriter();
+
+    let tileCount = 0;
+
+    const slots = [];
+    const heights = [];
+
+    writeVarint(body, grid.length);
+
+    for(let x = 0; x < grid.length; x++) {
+        const column = grid[x] || [];
+
+        writeVarint(body, column.length);
+
+        for(let z = 0; z < column.length; z++) {
+            const tile = column[z];
+
+            if(tile === null) {
+                slots.push(SLOT_NULL);
+                heights.push(undefined);
+                continue;
+            }
+
+            if(tile === undefined) {
+                slots.push(SLOT_EMPTY);
+                heights.push(undefined);
+                continue;
+            }
+
+            // z changes from tile to tile, so it stays out of the palette and the rest repeats
+            const rest = Object.assign({}, tile);
+            delete rest.z;
+
+            // tiles are matched on their encoded bytes, anything that encodes differently stays apart
+            scratch.length = 0;
+            writeValue(scratch, palette, rest);
+
+            const encoded = scratch.bytes.subarray(0, scratch.length);
+            const key = encoded.join(",");
+
+            let idx = tileIndices.get(key);
+
+            if(idx == undefined) {
+                idx = tileCount++;
+                tileIndices.set(key, idx);
+                writeBytes(tiles, encoded);
+            }
+
+            slots.push(idx + SLOT_FIRST_TILE);
+            heights.push(tile.z);
+        }
+    }
+
+    // runs of equal tile and z
+    const runs = createWriter();
+
+    let runCount = 0;
+    let i = 0;
+
+    while(i < slots.length) {
+        let length = 1;
+
+        while(i + length < slots.length && slots[i + length] == slots[i] && Object.is(heights[i + length], heights[i])) {
+            length++;
+        }
+
+        writeVarint(runs, slots[i]);
+        writeValue(runs, palette, heights[i]);
+        writeVarint(runs, length);
+
+        runCount++;
+        i += length;
+    }
+
+    const out = createWriter();
+    const encoder = new TextEncoder();
+
+    writeBytes(out, encoder.encode(CHUNK_MAGIC));
+    writeByte(out, CHUNK_VERSION);
+
+    writeVarint(out, palette.strings.length);
+
+    for(const str of palette.strings) {
+        const bytes = encoder.encode(str);
+
+        writeVarint(out, bytes.length);
+        writeBytes(out, bytes);
+    }
+
+    writeVarint(out, tileCount);
+    writeBytes(out, tiles.bytes.subarray(0, tiles.length));
+
+    writeBytes(out, body.bytes.subarray(0, body.length));
+
+    writeVarint(out, runCount);
+    writeBytes(out, runs.bytes.subarray(0, runs.length));
+
+    return out.bytes.slice(0, out.length).buffer;
+}
+
+/**
+ * Decode a chunk made by encodeChunkData back into chunk data for addChunk.
+ * @param {ArrayBuffer|Uint8Array} buffer - the encoded chunk
+ * @returns {object} the chunk data
+ */
+export function decodeChunkData(buffer) {
+    const reader = createReader(buffer);
+    const decoder = new TextDecoder();
+
+    const magic = decoder.decode(reader.bytes.subarray(0, CHUNK_MAGIC.length));
+
+    if(magic != CHUNK_MAGIC) {
+        throw new Error("not an encoded chunk");
+    }
+
+    reader.offset = CHUNK_MAGIC.length;
+
+    const version = readByte(reader);
+
+    if(version > CHUNK_VERSION) {
+        throw new Error("unsupported chunk data version " + version);
+    }
+
+    const stringCount = readVarint(reader);
+
+    reader.strings = new Array(stringCount);
+
+    for(let i = 0; i < stringCount; i++) {
+        const length = readVarint(reader);
+
+        reader.strings[i] = decoder.decode(reader.bytes.subarray(reader.offset, reader.offset + length));
+        reader.offset += length;
+    }
+
+    const tileCount = readVarint(reader);
+    const tiles = new Array(tileCount);
+
+    for(let i = 0; i < tileCount; i++) {
+        tiles[i] = readValue(reader);
+    }
+
+    const data = readValue(reader);
+
+    const columnCount = readVarint(reader);
+    const columnLengths = new Array(columnCount);
+
+    for(let x = 0; x < columnCount; x++) {
+        columnLengths[x] = readVarint(reader);
+    }
+
+    // every tile gets its own copy, chunk data is edited in place later on
+    const slots = [];
+    const runCount = readVarint(reader);
+
+    for(let i = 0; i < runCount; i++) {
+        const slot = readVarint(reader);
+        const z = readValue(reader);
+        const length = readVarint(reader);
+
+        for(let j = 0; j < length; j++) {
+            slots.push([slot, z]);
+        }
+    }
+
+    data.data = [];
+
+    let idx = 0;
+
+    for(let x = 0; x < columnCount; x++) {
+        const column = [];
+
+        for(let z = 0; z < columnLengths[x]; z++) {
+            const [slot, height] = slots[idx++];
+
+            if(slot == SLOT_NULL) {
+                column.push(null);
+                continue;
+            }
+
+            if(slot == SLOT_EMPTY) {
+                column.push(undefined);
+                continue;
+            }
+
+            const tile = structuredClone(tiles[slot - SLOT_FIRST_TILE]);
+
+            if(height !== undefined) {
+                tile.z = height;
+            }
+
+            column.push(tile);
+        }
+
+        data.data.push(column);
+    }
+
+    return data;
+}
@@ -0,0 +1,2130 @@
+/**
+ * Chunk geometry for the legacy atlas chunks.
+ *
+ * Nothing in here touches three.js or the DOM, tiles come in as plain objects with their atlas
+ * indices already resolved, so the same code runs on the main thread or in a chunk mesh worker.
+ */
+
+export const UV_TEXT_MIN = 0.01;
+export const UV_TEXT_MAX = 0.99;
+
+//const UV_TEXT_MIN = 0.02;
+//const UV_TEXT_MAX = 0.98;
+
+//const UV_TEXT_MIN = 0;
+//const UV_TEXT_MAX = 1;
+
+export const WORLD_HEIGHT = 128;
+
+const SMALL_DEPRESS_AMT = 0.98;
+const DEF_CLIFF_HEIGHT = 2;
+const DEF_ROUNDED_RADIUS = 0.15;
+const DEF_ROUNDED_SEGMENTS = 4;
+
+export const TEXTURE_FACES = [
+    { // left
+        uvRow: 0,
+        dir: [ -1,  0,  0, ],
+        corners: [
+            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+        ],
+        altcorners: [
+            { pos: [ 0, 0.9, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 0, 0.9, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+        ],
+        smdepress: [
+            { pos: [ 0, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 0, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+        ],
+        slopes: {
+            N: [
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], }
+            ],
+            E: [
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ],
+            W: [
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ],
+            S: [
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ]
+        }
+    },
+    { // right
+        uvRow: 0,
+        dir: [  1,  0,  0, ],
+        corners: [
+            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+        ],
+        altcorners: [
+            { pos: [ 1, 0.9, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 1, 0.9, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+        ],
+        smdepress: [
+            { pos: [ 1, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 1, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+        ],
+        slopes: {
+            N: [
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ],
+            E: [
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ],
+            W: [
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ],
+            S: [
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
+            ]
+        }
+    },
+    { // bottom
+        uvRow: 1,
+        dir: [  0, -1,  0, ],
+        corners: [
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }
+        ],
+        altcorners: [
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }
+        ],
+        smdepress: [
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }
+        ],
+        slopes: {
+            N: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            E: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            W: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            S: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NE: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NW: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SW: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SE: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NWI: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NEI: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SEI: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SWI: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ]
+        }
+    },
+    { // top
+        uvRow: 2,
+        dir: [  0,  1,  0, ],
+        corners: [
+            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }/*
+            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+             */
+        ],
+        altcorners: [
+            { pos: [ 0, 0.9, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 1, 0.9, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 0, 0.9, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 1, 0.9, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        smdepress: [
+            { pos: [ 0, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 1, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 0, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 1, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        slopes: {
+            N: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            E: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NW: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            W: [
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            S: [
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NE: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SW: [
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SE: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NWI: [
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            NEI: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SEI: [
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ],
+            SWI: [
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
+            ]
+        }
+    },
+    { // back
+        uvRow: 0,
+        dir: [  0,  0, -1, ],
+        corners: [
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        altcorners: [
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 0, 0, 0 ], uv: [ 1, UV_TEXT_MIN ] },
+            { pos: [ 1, 0.9, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 0, 0.9, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        smdepress: [
+            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+            { pos: [ 0, 0, 0 ], uv: [ 1, UV_TEXT_MIN ] },
+            { pos: [ 1, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+            { pos: [ 0, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        slopes: {
+            N: [
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ],
+            E: [
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ],
+            W: [
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }, // might remove/alter this
+                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ],
+            S: [
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
+                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
+                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ]
+        }
+    },
+    { // front
+        uvRow: 0,
+        dir: [  0,  0,  1, ],
+        corners: [
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        altcorners: [
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+            { pos: [ 0, 0.9, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 1, 0.9, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        smdepress: [
+            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+            { pos: [ 0, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+            { pos: [ 1, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+        ],
+        slopes: {
+            N: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ],
+            E: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ],
+            W: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] } // might remove/alter this
+            ],
+            S: [
+                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
+                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
+                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
+                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
+            ]
+        }
+    },
+];
+
+// horizontal sides of a column for rounded corners, t runs along the side in the direction its uv.x increases
+// next/prev are the sides met at the +t/-t ends
+const ROUNDED_SIDES = [
+    { n: [ -1,  0 ], t: [  0,  1 ], next: 3, prev: 2 }, // left
+    { n: [  1,  0 ], t: [  0, -1 ], next: 2, prev: 3 }, // right
+    { n: [  0, -1 ], t: [ -1,  0 ], next: 0, prev: 1 }, // back
+    { n: [  0,  1 ], t: [  1,  0 ], next: 1, prev: 0 }  // front
+];
+
+// per face: the axis along the face normal, the two in-plane axes, and which in-plane axis the uv.x/uv.y of the corners follow
+const HEIGHTFIELD_TOP_FACE = TEXTURE_FACES.findIndex(face => face.uvRow == 2);
+
+const GREEDY_FACES = TEXTURE_FACES.map(function(face) {
+    const normalAxis = face.dir.findIndex(d => d != 0);
+    const axes = [[2, 1], [0, 2], [0, 1]][normalAxis];
+
+    return {
+        normalAxis: normalAxis,
+        axes: axes,
+        uvAxes: [0, 1].map(comp => axes.find(a => face.corners.every(c => getTextureCellUV(c.uv[comp]) == c.pos[a]) || face.corners.every(c => getTextureCellUV(c.uv[comp]) == 1 - c.pos[a])))
+    };
+});
+
+/**
+ * Build the geometry for a legacy chunk.
+ * With job.greedy set, coplanar faces of plain columns that share an atlas index are merged into larger quads.
+ * Their uvs then count tiles across the quad and an atlasTiles array (atlas offset and width per vertex) is
+ * filled for every vertex, the material wraps the uv back into the atlas cell in the shader.
+ * With job.heightfield set the tiles are meshed as a smooth heightfield instead, see meshHeightfieldChunk.
+ * Edge columns look into job.edges for their neighbours, so no walls are built against a loaded neighbouring chunk.
+ * @param {object} job - tiles grid ({z, isWater, isDepressed, slope, top, middle, bottom, water, layers} or null), atlasPageCells, noSides, roundedCorners, greedy, minHeight, maxHeight, atlasColumns and atlasRows for a grid atlas, ambientOcclusion strength, heightfield ({cliffHeight}), edges ({xMin, xMax, zMin, zMax, diagonals} tiles of the neighbouring chunks touching this one, null where a neighbour isn't loaded)
+ * @returns {object} plain arrays for the chunk and its water, plus fixedNormals ranges, hasWater, atlasTiles when greedy and vertex colors with ambientOcclusion
+ */
+export function meshLegacyChunk(job) {
+    if(job.heightfield) {
+        return meshHeightfieldChunk(job);
+    }
+
+    const result = createLegacyChunkResult(job.greedy);
+    const rounded = getRoundedCornerOptions(job);
+    const greedyPlanes = job.greedy ? new Map() : null;
+
+    for(let x = 0; x < job.tiles.length; x++) {
+        for(let z = 0; z < job.tiles.length; z++) {
+            const obj = job.tiles[x][z];
+
+            if(!obj) {
+                continue;
+            }
+
+            if(greedyPlanes && !(rounded && canRoundChunkTile(obj)) && canGreedyMeshTile(job.tiles, obj, x, z, job.edges)) {
+                addGreedyColumnFaces(job, obj, x, z, greedyPlanes);
+                continue;
+            }
+
+            meshLegacyChunkColumn(job, obj, x, z, rounded, result);
+        }
+    }
+
+    if(greedyPlanes) {
+        for(const plane of greedyPlanes.values()) {
+            meshGreedyPlane(job, plane, result);
+        }
+    }
+
+    if(job.ambientOcclusion) {
+        addChunkAmbientOcclusion(job, result, job.ambientOcclusion);
+    }
+
+    return result;
+}
+
+/**
+ * Build the geometry for one column of a legacy chunk, faces against its neighbours included.
+ * Greedy jobs merge faces across columns, so they can only be meshed whole.
+ * @param {object} job - same job as meshLegacyChunk
+ * @param {number} x - column x in the tiles grid
+ * @param {number} z - column z in the tiles grid
+ * @returns {object} the same arrays meshLegacyChunk returns, for just this column
+ */
+export function meshLegacyChunkTile(job, x, z) {
+    const result = createLegacyChunkResult(false);
+    const obj = job.tiles[x][z];
+
+    if(obj) {
+        meshLegacyChunkColumn(job, obj, x, z, getRoundedCornerOptions(job), result);
+    }
+
+    return result;
+}
+
+/**
+ * Join column results from meshLegacyChunkTile into one chunk result, in the order given.
+ * @param {Array} columns - column results
+ * @param {object} job - the job the columns came from, its ambientOcclusion is baked over the joined result
+ * @returns {object} the combined arrays, laid out like meshLegacyChunk's
+ */
+export function mergeLegacyChunkColumns(columns, job = null) {
+    const result = createLegacyChunkResult(false);
+
+    for(const col of columns) {
+        const base = result.positions.length / 3;
+        const waterBase = result.waterPositions.length / 3;
+
+        appendArray(result.positions, col.positions, 0);
+        appendArray(result.normals, col.normals, 0);
+        appendArray(result.uvs, col.uvs, 0);
+        appendArray(result.indices, col.indices, base);
+
+        for(const range of col.fixedNormals) {
+            result.fixedNormals.push([range[0] + base, range[1] + base]);
+        }
+
+        appendArray(result.waterPositions, col.waterPositions, 0);
+        appendArray(result.waterNormals, col.waterNormals, 0);
+        appendArray(result.waterUvs, col.waterUvs, 0);
+        appendArray(result.waterIndices, col.waterIndices, waterBase);
+
+        if(col.hasWater) {
+            result.hasWater = true;
+        }
+    }
+
+    // occlusion reaches across columns, so it's worked out for the whole chunk
+    if(job && job.ambientOcclusion) {
+        addChunkAmbientOcclusion(job, result, job.ambientOcclusion);
+    }
+
+    return result;
+}
+
+/**
+ * Build a coarse version of a legacy chunk for far away LOD. Every factor x factor block of tiles becomes
+ * one tile taken from the block's tallest, stretched back out so the chunk keeps its footprint.
+ * @param {object} job - same job as meshLegacyChunk
+ * @param {number} factor - tiles per block side, brought down to the nearest one that divides the chunk size
+ * @param {boolean} topsOnly - leave out the side walls, only the top faces are built
+ * @returns {object} the same arrays meshLegacyChunk returns
+ */
+export function meshLegacyChunkLod(job, factor, topsOnly) {
+    const size = job.tiles.length;
+    const tiles = [];
+
+    // a block cut short at the chunk edge would be stretched as wide as the others
+    factor = Math.max(1, Math.min(Math.floor(factor) || 1, size));
+
+    while(size % factor) {
+        factor--;
+    }
+
+    for(let bx = 0; bx < size; bx += factor) {
+        const col = [];
+
+        for(let bz = 0; bz < size; bz += factor) {
+            let best = null;
+
+            for(let x = bx; x < bx + factor; x++) {
+                for(let z = bz; z < bz + factor; z++) {
+                    const tile = job.tiles[x][z];
+
+                    if(tile && (!best || (tile.z || 0) > (best.z || 0))) {
+                        best = tile;
+                    }
+                }
+            }
+
+            // slopes, depressions and rounding don't survive the merge
+            col.push(best ? {
+                z: best.z,
+                isWater: best.isWater,
+                isDepressed: undefined,
+                slope: null,
+                top: best.top,
+                middle: best.middle,
+                bottom: best.bottom,
+                water: best.water,
+                layers: best.layers
+            } : null);
+        }
+
+        tiles.push(col);
+    }
+
+    const result = meshLegacyChunk(Object.assign({}, job, {
+        tiles: tiles,
+        noSides: topsOnly || job.noSides,
+        roundedCorners: null,
+        // neighbour edges are at full resolution, far meshes do without them
+        edges: null
+    }));
+
+    const scale = size / tiles.length;
+
+    for(const positions of [result.positions, result.waterPositions]) {
+        for(let i = 0; i < positions.length; i += 3) {
+            positions[i] *= scale;
+            positions[i + 2] *= scale;
+        }
+    }
+
+    return result;
+}
+
+function createLegacyChunkResult(greedy) {
+    return {
+        positions: [],
+        normals: [],
+        uvs: [],
+        indices: [],
+        fixedNormals: [],
+        waterPositions: [],
+        waterNormals: [],
+        waterUvs: [],
+        waterIndices: [],
+        hasWater: false,
+        atlasTiles: greedy ? [] : null,
+        colors: null
+    };
+}
+
+/**
+ * Darken each vertex of the square faces by how many solid cells crowd its corner, taken from the column
+ * heights and layers around it. Slopes, rounded edges and other off grid vertices stay at full brightness.
+ * @param {object} job - the job the result was built from
+ * @param {object} result - meshLegacyChunk output, colors gets filled in
+ * @param {number} strength - brightness taken off per occluding cell, three cells at most
+ */
+function addChunkAmbientOcclusion(job, result, strength) {
+    const minHeight = getChunkHeightRange(job).min;
+    const positions = result.positions;
+    const normals = result.normals;
+    const colors = [];
+
+    const isSolid = function(cell) {
+        const neighbor = getChunkTileNeighbor(job.tiles, cell[0], cell[1], cell[2], undefined, minHeight, job.edges);
+
+        return neighbor == -1 || (neighbor && !neighbor.isWater);
+    };
+
+    for(let i = 0; i < positions.length; i += 3) {
+        const pos = [positions[i], positions[i + 1], positions[i + 2]];
+        const normal = [normals[i], normals[i + 1], normals[i + 2]];
+        const axis = normal.findIndex(n => n != 0);
+
+        let shade = 1;
+
+        if(pos.every(p => p == Math.round(p)) && normal.filter(n => n != 0).length == 1) {
+            // the four cells touching the vertex on the open side of the face, the face's own open cell is one of them
+            const [b, c] = [0, 1, 2].filter(a => a != axis);
+            const cell = [];
+
+            cell[axis] = normal[axis] > 0 ? pos[axis] : pos[axis] - 1;
+
+            let occluders = 0;
+
+            for(const db of [-1, 0]) {
+                for(const dc of [-1, 0]) {
+                    cell[b] = pos[b] + db;
+                    cell[c] = pos[c] + dc;
+
+                    if(isSolid(cell)) {
+                        occluders++;
+                    }
+                }
+            }
+
+            shade = Math.max(0, 1 - Math.min(3, occluders) * strength);
+        }
+
+        colors.push(shade, shade, shade);
+    }
+
+    result.colors = colors;
+}
+
+function appendArray(target, source, offset) {
+    for(let i = 0; i < source.length; i++) {
+        target.push(source[i] + offset);
+    }
+}
+
+// map an atlas cell coordinate (UV_TEXT_MIN - UV_TEXT_MAX) back to 0-1
+function getTextureCellUV(t) {
+    return Math.min(1, Math.max(0, (t - UV_TEXT_MIN) / (UV_TEXT_MAX - UV_TEXT_MIN)));
+}
+
+// uv for the main chunk mesh, u/v are atlas cell coordinates like the TEXTURE_FACES corners use
+function pushAtlasUV(job, result, tx, u, v) {
+    if(!result.atlasTiles) {
+        result.uvs.push(...getAtlasUV(job, tx, u, v));
+        return;
+    }
+
+    result.uvs.push(getTextureCellUV(u), getTextureCellUV(v));
+    result.atlasTiles.push(...getAtlasCell(job, tx));
+}
+
+// where an atlas index sits along u as [offset, width]. Each page is one row of atlasPageCells cells and
+// the page number goes in front of the fraction, the atlas shader splits it off to pick the array layer.
+function getAtlasCell(job, tx) {
+    const cells = job.atlasPageCells;
+
+    return [Math.floor(tx / cells) + (tx % cells) / cells, 1 / cells];
+}
+
+// plain columns only, water, slopes, depressed and layered tiles (or anything next to water) keep their own faces
+function canGreedyMeshTile(tiles, obj, x, z, edges) {
+    if(obj.isWater || obj.isDepressed || obj.slope || obj.layers) {
+        return false;
+    }
+
+    for(const side of ROUNDED_SIDES) {
+        const tile = getChunkGridTile(tiles, x + side.n[0], z + side.n[1], edges);
+
+        if(tile && tile.isWater) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// same visibility rules as the square faces, visible faces go into the plane masks instead of the mesh
+function addGreedyColumnFaces(job, obj, x, z, planes) {
+    const heights = getChunkHeightRange(job);
+    const floorZ = Math.min(obj.z || 0, heights.max - 1);
+
+    for(let y = heights.min; y <= floorZ; y++) {
+        for(let i = 0; i < TEXTURE_FACES.length; i++) {
+            const {dir, uvRow} = TEXTURE_FACES[i];
+
+            const neighbor = getChunkTileNeighbor(
+                job.tiles,
+                x + dir[0],
+                y + dir[1],
+                z + dir[2],
+                obj.isDepressed,
+                heights.min,
+                job.edges
+            );
+
+            if(neighbor && neighbor != -1) {
+                continue;
+            }
+
+            if(!neighbor && job.noSides && uvRow != 2) {
+                continue;
+            }
+
+            let tx = obj.middle;
+
+            if(uvRow == 2) {
+                tx = obj.top;
+            }
+
+            if(uvRow == 1) {
+                tx = obj.bottom;
+            }
+
+            const greedy = GREEDY_FACES[i];
+            const cell = [x, y, z];
+            const key = i + ":" + cell[greedy.normalAxis];
+
+            let plane = planes.get(key);
+
+            if(!plane) {
+                plane = {
+                    face: i,
+                    depth: cell[greedy.normalAxis],
+                    cells: []
+                };
+
+                planes.set(key, plane);
+            }
+
+            plane.cells.push([cell[greedy.axes[0]], cell[greedy.axes[1]], tx]);
+        }
+    }
+}
+
+function meshGreedyPlane(job, plane, result) {
+    const face = TEXTURE_FACES[plane.face];
+    const greedy = GREEDY_FACES[plane.face];
+
+    let minU = Infinity;
+    let minV = Infinity;
+    let maxU = -Infinity;
+    let maxV = -Infinity;
+
+    for(const [u, v] of plane.cells) {
+        minU = Math.min(minU, u);
+        minV = Math.min(minV, v);
+        maxU = Math.max(maxU, u);
+        maxV = Math.max(maxV, v);
+    }
+
+    const width = maxU - minU + 1;
+    const height = maxV - minV + 1;
+    const mask = new Int32Array(width * height).fill(-1);
+
+    for(const [u, v, tx] of plane.cells) {
+        mask[(v - minV) * width + (u - minU)] = tx;
+    }
+
+    for(let v = 0; v < height; v++) {
+        for(let u = 0; u < width; u++) {
+            const tx = mask[v * width + u];
+
+            if(tx == -1) {
+                continue;
+            }
+
+            let w = 1;
+
+            while(u + w < width && mask[v * width + u + w] == tx) {
+                w++;
+            }
+
+            let h = 1;
+
+            while(v + h < height) {
+                let rowMatches = true;
+
+                for(let k = 0; k < w; k++) {
+                    if(mask[(v + h) * width + u + k] != tx) {
+                        rowMatches = false;
+                        break;
+                    }
+                }
+
+                if(!rowMatches) {
+                    break;
+                }
+
+                h++;
+            }
+
+            for(let j = 0; j < h; j++) {
+                mask.fill(-1, (v + j) * width + u, (v + j) * width + u + w);
+            }
+
+            const start = [];
+            const size = [];
+
+            start[greedy.normalAxis] = plane.depth;
+            start[greedy.axes[0]] = minU + u;
+            start[greedy.axes[1]] = minV + v;
+
+            size[greedy.normalAxis] = 1;
+            size[greedy.axes[0]] = w;
+            size[greedy.axes[1]] = h;
+
+            const ndx = result.positions.length / 3;
+
+            for(const {pos, uv} of face.corners) {
+                result.positions.push(
+                    start[0] + pos[0] * size[0],
+                    start[1] + pos[1] * size[1],
+                    start[2] + pos[2] * size[2]
+                );
+
+                result.normals.push(...face.dir);
+
+                // uv counts tiles across the quad, the shader wraps it back into the cell
+                result.uvs.push(
+                    getTextureCellUV(uv[0]) * size[greedy.uvAxes[0]],
+                    getTextureCellUV(uv[1]) * size[greedy.uvAxes[1]]
+                );
+
+                result.atlasTiles.push(...getAtlasCell(job, tx));
+            }
+
+            result.indices.push(
+                ndx, ndx + 1, ndx + 2,
+                ndx + 2, ndx + 1, ndx + 3
+            );
+        }
+    }
+}
+
+function getAtlasUV(job, tx, u, v) {
+    // canvas chunks lay their cells out in a grid, left to right and then down
+    if(job.atlasColumns) {
+        const col = tx % job.atlasColumns;
+        const row = Math.floor(tx / job.atlasColumns);
+
+        return [(col + u) / job.atlasColumns, 1 - (row + 1 - v) / job.atlasRows];
+    }
+
+    const [offset, width] = getAtlasCell(job, tx);
+
+    return [offset + u * width, v];
+}
+
+function meshLegacyChunkColumn(job, obj, x, z, rounded, result) {
+    const positions = result.positions;
+    const normals = result.normals;
+    const indices = result.indices;
+    const heights = getChunkHeightRange(job);
+
+    let floorZ = Math.min(obj.z || 0, heights.max - 1);
+    let waterNeighbor = false;
+
+    const useTop = obj.top;
+    const useMid = obj.middle;
+    const useBottom = obj.bottom;
+
+    if(obj.isWater && obj.water != null) {
+        // the bed sits at 0, or right under the surface for water below it
+        floorZ = Math.min(0, floorZ);
+
+        addChunkWaterSurface(job, obj, x, z, result, rounded);
+    }
+
+    addChunkResultLayers(job, obj, x, z, heights, result);
+
+    if(rounded && canRoundChunkTile(obj)) {
+        if(obj.isWater) {
+            result.hasWater = true;
+        }
+
+        addRoundedChunkColumn({
+            positions: positions,
+            normals: normals,
+            indices: indices,
+            fixedNormals: result.fixedNormals,
+            pushUV: function(slot, u, v) {
+                let tx = useMid;
+
+                // water beds are textured with their top all over, like the square faces
+                if(slot == "top" || obj.isWater) {
+                    tx = useTop;
+                }
+
+                if(slot == "bottom") {
+                    tx = useBottom;
+                }
+
+                pushAtlasUV(job, result, tx, lerpTextureUV(u), lerpTextureUV(v));
+            }
+        }, job.tiles, obj, x, z, floorZ, rounded, job.noSides, heights, job.edges);
+
+        return;
+    }
+
+    // only the column's own height is walked, not the whole world range
+    for(let y = heights.min; y <= floorZ; y++) {
+        for (const {dir, corners, uvRow, altcorners, slopes, smdepress} of TEXTURE_FACES) {
+
+            const ux = x + dir[0];
+            const uy = y + dir[1];
+            const uz = z + dir[2];
+
+            const neighbor = getChunkTileNeighbor(
+                job.tiles,
+                ux,
+                uy,
+                uz,
+                obj.isDepressed,
+                heights.min,
+                job.edges
+            );
+            
+            let shouldSkip = false;
+
+            if(neighbor && neighbor != -1) {
+                if(neighbor.isWater) {
+                    waterNeighbor = true;
+                }
+
+                shouldSkip = true;
+
+                if(obj.isWater != neighbor.isWater) {
+                    shouldSkip = false;
+                }
+            } else {
+                if(job.noSides && uvRow != 2 && neighbor != -1) {
+                    shouldSkip = true;
+                }
+            }
+
+            if(waterNeighbor) {
+                shouldSkip = false;
+            }
+                
+            if(obj.isWater) {
+                result.hasWater = true;
+
+                if(neighbor && neighbor.isWater) {
+                    shouldSkip = true;
+                }
+            }
+
+            if(shouldSkip) {
+                continue;
+            }
+
+            let ndx = positions.length / 3;
+
+            let usecor = corners;
+
+            if(obj.isWater && y == floorZ) {
+                usecor = altcorners;
+            }
+
+            if(obj.isDepressed) {
+                usecor = smdepress;
+            }
+
+            if(obj.slope && slopes[obj.slope]) {
+                usecor = slopes[obj.slope];
+            }
+
+            if(obj.isWater) {
+
+                for (const {pos, uv} of corners) {
+                    positions.push(pos[0] + x, (pos[1] + y) - 1, pos[2] + z);
+                    normals.push(...dir);
+                    pushAtlasUV(job, result, useTop, uv[0], uv[1]);
+                }
+
+                indices.push(
+                    ndx, ndx + 1, ndx + 2,
+                    ndx + 2, ndx + 1, ndx + 3
+                );
+
+                continue;
+            }
+
+            for (const {pos, uv} of usecor) {
+                positions.push(pos[0] + x, pos[1] + y, pos[2] + z);
+                normals.push(...dir);
+
+                let tx = useMid;
+                        
+                if(uvRow == 2) {
+                    tx = useTop;
+                }
+
+                if(uvRow == 1) {
+                    tx = useBottom;
+                }
+
+                pushAtlasUV(job, result, tx, uv[0], uv[1]);
+            }
+
+            indices.push(
+                ndx, ndx + 1, ndx + 2,
+                ndx + 2, ndx + 1, ndx + 3
+            );
+
+            if(waterNeighbor || obj.slope) {
+
+                ndx = positions.length / 3;
+
+                for (const {pos, uv} of corners) {
+
+                    let uyy = (pos[1] + y) - 1;
+
+                    if(obj.slope) {
+                        uyy = pos[1] + y;
+                    }
+
+                    positions.push(pos[0] + x, uyy, pos[2] + z);
+                    normals.push(...dir);
+                    pushAtlasUV(job, result, useBottom, uv[0], uv[1]);
+                }
+
+                indices.push(
+                    ndx, ndx + 1, ndx + 2,
+                    ndx + 2, ndx + 1, ndx + 3
+                );
+            }
+        }
+    }
+}
+
+function addChunkWaterSurface(job, obj, x, z, result, rounded = null) {
+    result.hasWater = true;
+
+    // with rounded corners, the surface rounds off where the water runs out at the edge of the loaded world
+    if(rounded) {
+        const open = ROUNDED_SIDES.map(side => !getChunkGridTile(job.tiles, x + side.n[0], z + side.n[1], job.edges));
+
+        if(ROUNDED_SIDES.some((side, i) => open[i] && open[side.next])) {
+            addRoundedWaterSurface(job, obj, x, z, result, open, rounded);
+            return;
+        }
+    }
+
+    for (const {dir, uvRow, altcorners} of TEXTURE_FACES) {
+        if(uvRow != 2) {
+            continue;
+        }
+
+        let ndx = result.waterPositions.length / 3;
+
+        for (const {pos, uv} of altcorners) {
+            result.waterPositions.push(pos[0] + x, pos[1] + (obj.z || 0), pos[2] + z);
+            result.waterNormals.push(...dir);
+            result.waterUvs.push(...getAtlasUV(job, obj.water, uv[0], uv[1]));
+        }
+
+        result.waterIndices.push(
+            ndx, ndx + 1, ndx + 2,
+            ndx + 2, ndx + 1, ndx + 3
+        );
+    }
+}
+
+function addRoundedWaterSurface(job, obj, x, z, result, open, rounded) {
+    const y = (obj.z || 0) + TEXTURE_FACES[HEIGHTFIELD_TOP_FACE].altcorners[0].pos[1];
+    const outline = getRoundedOutline(open, rounded.radius, rounded.segments, y);
+    const start = result.waterPositions.length / 3;
+
+    // the outline runs counter clockwise seen from above, so the fan faces up as it is
+    for(const pos of [[0.5, y, 0.5], ...outline]) {
+        result.waterPositions.push(pos[0] + x, pos[1], pos[2] + z);
+        result.waterNormals.push(0, 1, 0);
+        result.waterUvs.push(...getAtlasUV(job, obj.water, lerpTextureUV(pos[0]), lerpTextureUV(1 - pos[2])));
+    }
+
+    for(let i = 1; i < outline.length; i++) {
+        result.waterIndices.push(start, start + i, start + i + 1);
+    }
+}
+
+function addChunkResultLayers(job, obj, x, z, heights, result) {
+    addChunkTileLayers({
+        positions: result.positions,
+        normals: result.normals,
+        indices: result.indices,
+        pushUV: function(slot, u, v, layer) {
+            pushAtlasUV(job, result, layer[slot], u, v);
+        }
+    }, job.tiles, obj, x, z, job.noSides, heights, job.edges);
+}
+
+/**
+ * Build a chunk as a smooth heightfield. A tile's ground sits where its column top would be (a water
+ * tile's bed where the legacy bed is), and each tile corner takes the average height of the tiles
+ * around it. Tiles more than cliffHeight apart don't share corners, so a cliff wall fills the gap between
+ * them instead. Normals are smoothed across tiles that share corners and left sharp at cliffs.
+ * Water surfaces, layers and atlas texturing work as in the stepped chunks, slopes, depressions and rounded
+ * corners are left to the heightfield.
+ * @param {object} job - same job as meshLegacyChunk, with heightfield {cliffHeight}
+ * @returns {object} the same arrays meshLegacyChunk returns
+ */
+export function meshHeightfieldChunk(job) {
+    const result = createLegacyChunkResult(false);
+    const tiles = job.tiles;
+    const size = tiles.length;
+    const heights = getChunkHeightRange(job);
+    const cliffHeight = job.heightfield.cliffHeight != undefined ? job.heightfield.cliffHeight : DEF_CLIFF_HEIGHT;
+
+    const inChunk = function(x, z) {
+        return x >= 0 && z >= 0 && x < size && z < size;
+    };
+
+    // tiles across the seam come from the neighbouring chunks' edges
+    const getTile = function(x, z) {
+        return getChunkGridTile(tiles, x, z, job.edges);
+    };
+
+    const ground = [];
+
+    for(let x = 0; x < size; x++) {
+        ground.push([]);
+
+        for(let z = 0; z < size; z++) {
+            const obj = getTile(x, z);
+
+            ground[x].push(obj ? getHeightfieldGround(obj, heights) : null);
+        }
+    }
+
+    const getGround = function(x, z) {
+        if(inChunk(x, z)) {
+            return ground[x][z];
+        }
+
+        const obj = getTile(x, z);
+
+        return obj ? getHeightfieldGround(obj, heights) : null;
+    };
+
+    // the tiles around lattice point (px, pz) close enough in height to share it with tile (x, z)
+    const getCornerGroup = function(x, z, px, pz) {
+        const own = getGround(x, z);
+        const group = [];
+
+        for(let nx = px - 1; nx <= px; nx++) {
+            for(let nz = pz - 1; nz <= pz; nz++) {
+                const h = getGround(nx, nz);
+
+                if(h != null && Math.abs(h - own) <= cliffHeight) {
+                    group.push([nx, nz]);
+                }
+            }
+        }
+
+        return group;
+    };
+
+    // corner heights per tile, [x0z0, x1z0, x0z1, x1z1]. Corners on the seam see the tiles on both sides,
+    // so they come out the same from either chunk. The far corners of a tile across the seam only see
+    // what's in the edge and are close enough for its normal and wall bottoms.
+    const getTileCorners = function(x, z) {
+        if(getGround(x, z) == null) {
+            return null;
+        }
+
+        const tileCorners = [];
+
+        for(let c = 0; c < 4; c++) {
+            const group = getCornerGroup(x, z, x + (c % 2), z + Math.floor(c / 2));
+
+            let sum = 0;
+
+            for(const [nx, nz] of group) {
+                sum += getGround(nx, nz);
+            }
+
+            tileCorners.push(sum / group.length);
+        }
+
+        return tileCorners;
+    };
+
+    const corners = [];
+    const seamCorners = new Map();
+
+    for(let x = 0; x < size; x++) {
+        corners.push([]);
+
+        for(let z = 0; z < size; z++) {
+            corners[x].push(getTileCorners(x, z));
+        }
+    }
+
+    const getCorners = function(x, z) {
+        if(inChunk(x, z)) {
+            return corners[x][z];
+        }
+
+        const key = x + ":" + z;
+
+        if(!seamCorners.has(key)) {
+            seamCorners.set(key, getTileCorners(x, z));
+        }
+
+        return seamCorners.get(key);
+    };
+
+    const getCorner = function(x, z, cx, cz) {
+        const c = getCorners(x, z);
+
+        return c ? c[cx + cz * 2] : null;
+    };
+
+    const getFaceNormal = function(x, z) {
+        const c = getCorners(x, z);
+
+        if(!c) {
+            return null;
+        }
+
+        return normalizeVector([((c[0] + c[2]) - (c[1] + c[3])) / 2, 1, ((c[0] + c[1]) - (c[2] + c[3])) / 2]);
+    };
+
+    const positions = result.positions;
+    const normals = result.normals;
+    const indices = result.indices;
+
+    for(let x = 0; x < size; x++) {
+        for(let z = 0; z < size; z++) {
+            const obj = getTile(x, z);
+
+            if(!obj) {
+                continue;
+            }
+
+            if(obj.isWater && obj.water != null) {
+                addChunkWaterSurface(job, obj, x, z, result);
+            }
+
+            addChunkResultLayers(job, obj, x, z, heights, result);
+
+            // top, same corner order and uvs as the stepped top face
+            const ndx = positions.length / 3;
+            const top = TEXTURE_FACES[HEIGHTFIELD_TOP_FACE].corners;
+
+            for(const {pos, uv} of top) {
+                const cx = pos[0];
+                const cz = pos[2];
+
+                let normal = [0, 0, 0];
+
+                for(const [nx, nz] of getCornerGroup(x, z, x + cx, z + cz)) {
+                    const n = getFaceNormal(nx, nz);
+
+                    normal = [normal[0] + n[0], normal[1] + n[1], normal[2] + n[2]];
+                }
+
+                positions.push(x + cx, getCorner(x, z, cx, cz), z + cz);
+                normals.push(...normalizeVector(normal));
+                pushAtlasUV(job, result, obj.top, uv[0], uv[1]);
+            }
+
+            // split along the flatter diagonal
+            if(Math.abs(positions[(ndx + 1) * 3 + 1] - positions[(ndx + 2) * 3 + 1]) <= Math.abs(positions[ndx * 3 + 1] - positions[(ndx + 3) * 3 + 1])) {
+                indices.push(
+                    ndx, ndx + 1, ndx + 2,
+                    ndx + 2, ndx + 1, ndx + 3
+                );
+            } else {
+                indices.push(
+                    ndx, ndx + 1, ndx + 3,
+                    ndx, ndx + 3, ndx + 2
+                );
+            }
+
+            // walls wherever this tile's edge is above the ground next to it
+            for(const {dir, uvRow, corners: faceCorners} of TEXTURE_FACES) {
+                if(uvRow != 0) {
+                    continue;
+                }
+
+                const nx = x + dir[0];
+                const nz = z + dir[2];
+                const neighbor = getTile(nx, nz);
+
+                if(!neighbor && job.noSides) {
+                    continue;
+                }
+
+                const wall = [];
+
+                let open = false;
+
+                for(const {pos, uv} of faceCorners) {
+                    const cx = pos[0];
+                    const cz = pos[2];
+                    const topY = getCorner(x, z, cx, cz);
+
+                    let y = topY;
+
+                    if(pos[1] == 0) {
+                        const below = neighbor ? getCorner(nx, nz, cx - dir[0], cz - dir[2]) : heights.min;
+
+                        y = Math.min(topY, below);
+
+                        if(y < topY) {
+                            open = true;
+                        }
+                    }
+
+                    wall.push({ pos: [x + cx, y, z + cz], uv: uv });
+                }
+
+                if(!open) {
+                    continue;
+                }
+
+                const wallNdx = positions.length / 3;
+
+                for(const {pos, uv} of wall) {
+                    positions.push(...pos);
+                    normals.push(...dir);
+                    pushAtlasUV(job, result, obj.middle, uv[0], uv[1]);
+                }
+
+                indices.push(
+                    wallNdx, wallNdx + 1, wallNdx + 2,
+                    wallNdx + 2, wallNdx + 1, wallNdx + 3
+                );
+            }
+        }
+    }
+
+    // the smoothed normals are already worked out, nothing should recompute them
+    if(positions.length) {
+        result.fixedNormals.push([0, positions.length / 3]);
+    }
+
+    return result;
+}
+
+function getHeightfieldGround(obj, heights) {
+    const h = obj.isWater ? Math.min(0, obj.z || 0) : (obj.z || 0) + 1;
+
+    return Math.max(heights.min, Math.min(heights.max, h));
+}
+
+function normalizeVector(v) {
+    const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+
+    return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+export function getChunkTileNeighbor(data, x, y, z, dep, minHeight = 0, edges = null) {
+
+    if(y < minHeight) {
+        return null;
+    }
+
+    let tile = getChunkGridTile(data, x, z, edges);
+
+    if(!tile) {
+        return null;
+    }
+
+    let useZ = 0;
+
+    if(tile.z) {
+        useZ = tile.z;
+    }
+
+    // above the ground column only the tile's layers are solid
+    if(useZ < y) {
+        return getChunkTileLayer(tile, y);
+    }
+
+    if(tile.isDepressed != dep) {
+        return -1;
+    }
+
+    
+
+    return tile;
+}
+
+/**
+ * Get a tile from a chunk's grid, or from a neighbouring chunk's edge when x or z is one step outside it.
+ * @param {Array} data - the chunk's tiles grid
+ * @param {number} x - tile x, -1 to size
+ * @param {number} z - tile z, -1 to size
+ * @param {object} edges - the job's neighbouring tiles ({xMin, xMax, zMin, zMax, diagonals}), or null
+ * @returns {object} the tile, or null if there's none there or the neighbour isn't loaded
+ */
+export function getChunkGridTile(data, x, z, edges = null) {
+    const size = data.length;
+    const inX = x >= 0 && x < size;
+    const inZ = z >= 0 && data[0] && z < data[0].length;
+
+    if(inX && inZ) {
+        return data[x] ? data[x][z] || null : null;
+    }
+
+    if(!edges) {
+        return null;
+    }
+
+    let row = null;
+    let idx = 0;
+
+    if(inZ && x == -1) {
+        row = edges.xMin;
+        idx = z;
+    } else if(inZ && x == size) {
+        row = edges.xMax;
+        idx = z;
+    } else if(inX && z == -1) {
+        row = edges.zMin;
+        idx = x;
+    } else if(inX && z == size) {
+        row = edges.zMax;
+        idx = x;
+    } else if(edges.diagonals) {
+        return edges.diagonals[x + ":" + z] || null;
+    }
+
+    return row ? row[idx] || null : null;
+}
+
+/**
+ * Find the layer of a tile that covers a height.
+ * @param {object} tile - a chunk tile
+ * @param {number} y - height in tiles
+ * @returns {object} the layer ({from, to, top, middle, bottom}, to defaults to from), or null if y is not inside one
+ */
+export function getChunkTileLayer(tile, y) {
+    if(!tile.layers) {
+        return null;
+    }
+
+    for(const layer of tile.layers) {
+        const from = layer.from || 0;
+        const to = layer.to != undefined ? layer.to : from;
+
+        if(y >= from && y <= to) {
+            return layer;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the cube faces of a tile's layers, the solid spans above its ground column used for bridges,
+ * cave ceilings and floating islands. Faces against ground or other layers are culled like the column's own.
+ * @param {object} build - positions/normals/indices arrays and a pushUV(slot, u, v, layer) function, u/v are atlas cell coordinates
+ * @param {Array} tiles - the chunk's tile grid
+ * @param {object} obj - the tile being built
+ * @param {number} x - tile x within the chunk
+ * @param {number} z - tile z within the chunk
+ * @param {boolean} noSides - the chunk's noSides flag
+ * @param {object} heights - vertical range from getChunkHeightRange
+ * @param {object} edges - the job's neighbouring tiles ({xMin, xMax, zMin, zMax, diagonals}), or null
+ */
+export function addChunkTileLayers(build, tiles, obj, x, z, noSides, heights = getChunkHeightRange({}), edges = null) {
+    if(!obj.layers) {
+        return;
+    }
+
+    for(const layer of obj.layers) {
+        const from = layer.from || 0;
+        const to = Math.min(layer.to != undefined ? layer.to : from, heights.max - 1);
+
+        for(let y = Math.max(heights.min, from); y <= to; y++) {
+            for(const {dir, corners, uvRow} of TEXTURE_FACES) {
+                const neighbor = getChunkTileNeighbor(
+                    tiles,
+                    x + dir[0],
+                    y + dir[1],
+                    z + dir[2],
+                    obj.isDepressed,
+                    heights.min,
+                    edges
+                );
+
+                // a depressed neighbour still fills the face
+                if(neighbor && (neighbor == -1 || !neighbor.isWater)) {
+                    continue;
+                }
+
+                if(!neighbor && noSides && uvRow != 2) {
+                    continue;
+                }
+
+                let slot = "middle";
+
+                if(uvRow == 2) {
+                    slot = "top";
+                }
+
+                if(uvRow == 1) {
+                    slot = "bottom";
+                }
+
+                const ndx = build.positions.length / 3;
+
+                for(const {pos, uv} of corners) {
+                    build.positions.push(pos[0] + x, pos[1] + y, pos[2] + z);
+                    build.normals.push(...dir);
+                    build.pushUV(slot, uv[0], uv[1], layer);
+                }
+
+                build.indices.push(
+                    ndx, ndx + 1, ndx + 2,
+                    ndx + 2, ndx + 1, ndx + 3
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Vertical range a chunk is built in, taken from a job's (or chunk data's) minHeight and maxHeight.
+ * Columns are only walked from min up to their own z, so max just caps tall columns.
+ * @param {object} job - anything with minHeight and maxHeight, both optional
+ * @returns {object} {min, max}, max is exclusive, Infinity when maxHeight is null
+ */
+export function getChunkHeightRange(job) {
+    let max = WORLD_HEIGHT;
+
+    if(job.maxHeight === null) {
+        max = Infinity;
+    } else if(job.maxHeight != undefined) {
+        max = job.maxHeight;
+    }
+
+    return {
+        min: job.minHeight || 0,
+        max: max
+    };
+}
+
+export function getRoundedCornerOptions(data) {
+    const opts = data.roundedCorners;
+
+    if(!opts || !opts.enabled) {
+        return null;
+    }
+
+    let radius = DEF_ROUNDED_RADIUS;
+    let segments = DEF_ROUNDED_SEGMENTS;
+
+    if(opts.radius != undefined && !isNaN(opts.radius)) {
+        radius = Math.min(0.5, Math.max(0, opts.radius));
+    }
+
+    if(opts.segments != undefined && !isNaN(opts.segments)) {
+        segments = Math.max(1, Math.round(opts.segments));
+    }
+
+    if(radius == 0) {
+        return null;
+    }
+
+    return {
+        radius: radius,
+        segments: segments
+    };
+}
+
+// depressed tiles keep their regular faces
+export function canRoundChunkTile(obj) {
+    return !obj.isDepressed;
+}
+
+export function lerpTextureUV(t) {
+    return UV_TEXT_MIN + (UV_TEXT_MAX - UV_TEXT_MIN) * t;
+}
+
+// lowest point of a slope tile's ramp along the edge facing ex/ez
+function getSlopeEdgeHeight(tile, ex, ez) {
+    const base = tile.z || 0;
+    const corners = TEXTURE_FACES[3].slopes[tile.slope];
+
+    if(!corners) {
+        return base + 1;
+    }
+
+    let height = null;
+
+    for(const {pos} of corners) {
+        if(ex == -1 && pos[0] != 0) {
+            continue;
+        }
+
+        if(ex == 1 && pos[0] != 1) {
+            continue;
+        }
+
+        if(ez == -1 && pos[2] != 0) {
+            continue;
+        }
+
+        if(ez == 1 && pos[2] != 1) {
+            continue;
+        }
+
+        if(height == null || pos[1] < height) {
+            height = pos[1];
+        }
+    }
+
+    if(height == null) {
+        height = 1;
+    }
+
+    return base + height;
+}
+
+// height over a slope tile's top, bilinear between its ramp corners, null for tiles without a known slope
+function getSlopeRamp(obj) {
+    const corners = obj.slope && !obj.isWater ? TEXTURE_FACES[3].slopes[obj.slope] : null;
+
+    if(!corners) {
+        return null;
+    }
+
+    const h = [[1, 1], [1, 1]];
+
+    for(const {pos} of corners) {
+        h[pos[0]][pos[2]] = pos[1];
+    }
+
+    return function(px, pz) {
+        return (h[0][0] * (1 - px) + h[1][0] * px) * (1 - pz) + (h[0][1] * (1 - px) + h[1][1] * px) * pz;
+    };
+}
+
+function isRoundedSideOpen(tiles, obj, x, y, z, side, noSides, minHeight, edges) {
+    const nx = x + side.n[0];
+    const nz = z + side.n[1];
+
+    const neighbor = getChunkTileNeighbor(tiles, nx, y, nz, obj.isDepressed, minHeight, edges);
+
+    if(neighbor == -1) {
+        return true;
+    }
+
+    if(neighbor) {
+        return !!neighbor.isWater != !!obj.isWater;
+    }
+
+    if(noSides) {
+        return false;
+    }
+
+    // a ramp climbing up against this wall already covers it
+    const tile = getChunkGridTile(tiles, nx, nz, edges);
+
+    if(tile && tile.slope && !tile.isWater && getSlopeEdgeHeight(tile, -side.n[0], -side.n[1]) >= y + 1) {
+        return false;
+    }
+
+    return true;
+}
+
+function addRoundedTriangle(build, a, b, c) {
+    const p = build.positions;
+    const n = build.normals;
+
+    const e1x = p[b * 3] - p[a * 3];
+    const e1y = p[b * 3 + 1] - p[a * 3 + 1];
+    const e1z = p[b * 3 + 2] - p[a * 3 + 2];
+
+    const e2x = p[c * 3] - p[a * 3];
+    const e2y = p[c * 3 + 1] - p[a * 3 + 1];
+    const e2z = p[c * 3 + 2] - p[a * 3 + 2];
+
+    const cx = e1y * e2z - e1z * e2y;
+    const cy = e1z * e2x - e1x * e2z;
+    const cz = e1x * e2y - e1y * e2x;
+
+    const facing = cx * (n[a * 3] + n[b * 3] + n[c * 3]) +
+        cy * (n[a * 3 + 1] + n[b * 3 + 1] + n[c * 3 + 1]) +
+        cz * (n[a * 3 + 2] + n[b * 3 + 2] + n[c * 3 + 2]);
+
+    if(facing < 0) {
+        build.indices.push(a, c, b);
+    } else {
+        build.indices.push(a, b, c);
+    }
+}
+
+function addRoundedVertex(build, x, z, vert) {
+    build.positions.push(vert.pos[0] + x, vert.pos[1], vert.pos[2] + z);
+    build.normals.push(...vert.normal);
+    build.pushUV(vert.slot, vert.uv[0], vert.uv[1]);
+}
+
+// grid of (rows + 1) x (cols + 1) vertices, vertexFn gets 0-1 params for both axes
+function addRoundedPatch(build, x, z, rows, cols, vertexFn, curved) {
+    const start = build.positions.length / 3;
+
+    for(let i = 0; i <= rows; i++) {
+        for(let j = 0; j <= cols; j++) {
+            addRoundedVertex(build, x, z, vertexFn(i / rows, j / cols));
+        }
+    }
+
+    for(let i = 0; i < rows; i++) {
+        for(let j = 0; j < cols; j++) {
+            const a = start + i * (cols + 1) + j;
+            const b = a + 1;
+            const c = a + cols + 1;
+            const d = c + 1;
+
+            addRoundedTriangle(build, a, b, c);
+            addRoundedTriangle(build, c, b, d);
+        }
+    }
+
+    // keep the smooth normals instead of the faceted ones from computeVertexNormals
+    if(curved && build.fixedNormals) {
+        build.fixedNormals.push([start, build.positions.length / 3]);
+    }
+}
+
+// flat fan, uvFn maps a position to its uv within the tile
+function addRoundedFan(build, x, z, center, outline, normal, slot, uvFn) {
+    const start = build.positions.length / 3;
+
+    for(const pos of [center, ...outline]) {
+        addRoundedVertex(build, x, z, {
+            pos: pos,
+            normal: normal,
+            slot: slot,
+            uv: uvFn(pos)
+        });
+    }
+
+    for(let i = 1; i < outline.length; i++) {
+        addRoundedTriangle(build, start, start + i, start + i + 1);
+    }
+}
+
+// footprint of a column level, rounded where both sides of a corner are open, closed back to its start
+function getRoundedOutline(open, r, segments, y) {
+    const outline = [];
+    let sideIdx = 0;
+
+    do {
+        const side = ROUNDED_SIDES[sideIdx];
+        const next = ROUNDED_SIDES[side.next];
+
+        if(open[sideIdx] && open[side.next]) {
+            outline.push(...getRoundedCornerArc(side, next, r, segments, y));
+        } else {
+            outline.push([0.5 + (side.n[0] + next.n[0]) * 0.5, y, 0.5 + (side.n[1] + next.n[1]) * 0.5]);
+        }
+
+        sideIdx = side.next;
+    } while(sideIdx != 0);
+
+    outline.push(outline[0]);
+
+    return outline;
+}
+
+function getRoundedCornerArc(side, next, r, segments, y) {
+    const cx = 0.5 + (0.5 - r) * (side.n[0] + next.n[0]);
+    const cz = 0.5 + (0.5 - r) * (side.n[1] + next.n[1]);
+
+    const arc = [];
+
+    for(let i = 0; i <= segments; i++) {
+        const ang = i / segments * Math.PI / 2;
+
+        arc.push([
+            cx + (Math.cos(ang) * side.n[0] + Math.sin(ang) * next.n[0]) * r,
+            y,
+            cz + (Math.cos(ang) * side.n[1] + Math.sin(ang) * next.n[1]) * r
+        ]);
+    }
+
+    return arc;
+}
+
+/**
+ * Build a single terrain column with bevelled top edges and rounded vertical corners.
+ * Only sides that are exposed get rounded so neighbouring columns still meet flush.
+ * @param {object} build - positions/normals/indices arrays, fixedNormals ranges and a pushUV(slot, u, v) function
+ * @param {Array} tiles - the chunk's tile grid
+ * @param {object} obj - the tile being built
+ * @param {number} x - tile x within the chunk
+ * @param {number} z - tile z within the chunk
+ * @param {number} floorZ - height of the column
+ * @param {object} rounded - radius and segments from getRoundedCornerOptions
+ * @param {boolean} noSides - the chunk's noSides flag
+ * @param {object} heights - vertical range from getChunkHeightRange
+ */
+export function addRoundedChunkColumn(build, tiles, obj, x, z, floorZ, rounded, noSides, heights = getChunkHeightRange({}), edges = null) {
+    const r = rounded.radius;
+    const segments = rounded.segments;
+    const halfPi = Math.PI / 2;
+
+    floorZ = Math.min(floorZ, heights.max - 1);
+
+    // water beds sit a level lower, like their square faces, and slope tiles carry a ramp on top
+    const drop = obj.isWater ? 1 : 0;
+    const ramp = getSlopeRamp(obj);
+
+    let waterNeighbor = false;
+
+    for(const side of ROUNDED_SIDES) {
+        const tile = getChunkGridTile(tiles, x + side.n[0], z + side.n[1], edges);
+
+        if(tile && tile.isWater) {
+            waterNeighbor = true;
+        }
+    }
+
+    const levels = [];
+
+    for(let y = heights.min; y <= floorZ; y++) {
+        levels.push({
+            y: y - drop,
+            open: ROUNDED_SIDES.map(side => isRoundedSideOpen(tiles, obj, x, y, z, side, noSides, heights.min, edges)),
+            slot: "side"
+        });
+    }
+
+    if(!levels.length) {
+        return;
+    }
+
+    floorZ -= drop;
+
+    const topY = floorZ + 1;
+
+    // walls next to water drop one level lower, same as the square faces do
+    if(waterNeighbor && !drop) {
+        levels.unshift({
+            y: heights.min - 1,
+            open: levels[0].open,
+            slot: "bottom"
+        });
+    }
+
+    for(let l = 0; l < levels.length; l++) {
+        const level = levels[l];
+        const open = level.open;
+        const below = l > 0 ? levels[l - 1].open : null;
+        const yb = level.y;
+        const yt = level.y == floorZ && !ramp ? topY - r : level.y + 1;
+
+        for(let i = 0; i < ROUNDED_SIDES.length; i++) {
+            const side = ROUNDED_SIDES[i];
+            const next = ROUNDED_SIDES[side.next];
+            const corner = open[i] && open[side.next];
+
+            if(open[i]) {
+                const a0 = open[side.prev] ? r - 0.5 : -0.5;
+                const a1 = open[side.next] ? 0.5 - r : 0.5;
+
+                addRoundedPatch(build, x, z, 1, 1, function(s, t) {
+                    const a = a0 + (a1 - a0) * s;
+                    const h = yb + (yt - yb) * t;
+
+                    return {
+                        pos: [0.5 + side.n[0] * 0.5 + side.t[0] * a, h, 0.5 + side.n[1] * 0.5 + side.t[1] * a],
+                        normal: [side.n[0], 0, side.n[1]],
+                        slot: level.slot,
+                        uv: [a + 0.5, h - yb]
+                    };
+                }, false);
+            }
+
+            if(corner) {
+                const cx = 0.5 + (0.5 - r) * (side.n[0] + next.n[0]);
+                const cz = 0.5 + (0.5 - r) * (side.n[1] + next.n[1]);
+
+                addRoundedPatch(build, x, z, segments, 1, function(s, t) {
+                    const dx = Math.cos(s * halfPi) * side.n[0] + Math.sin(s * halfPi) * next.n[0];
+                    const dz = Math.cos(s * halfPi) * side.n[1] + Math.sin(s * halfPi) * next.n[1];
+                    const h = yb + (yt - yb) * t;
+
+                    return {
+                        pos: [cx + dx * r, h, cz + dz * r],
+                        normal: [dx, 0, dz],
+                        slot: level.slot,
+                        uv: [1 - r + s * r, h - yb]
+                    };
+                }, true);
+            }
+
+            // close off the ledge where a corner switches between rounded and square
+            if(below && corner != (below[i] && below[side.next])) {
+                const cornerPt = [0.5 + (side.n[0] + next.n[0]) * 0.5, yb, 0.5 + (side.n[1] + next.n[1]) * 0.5];
+
+                addRoundedFan(build, x, z, cornerPt, getRoundedCornerArc(side, next, r, segments, yb), [0, corner ? 1 : -1, 0], level.slot, getRoundedFlatUV);
+            }
+        }
+
+        if(level.y != floorZ) {
+            continue;
+        }
+
+        if(ramp) {
+            addRoundedRamp(build, x, z, open, floorZ, ramp, rounded);
+            continue;
+        }
+
+        const x0 = open[0] ? r : 0;
+        const x1 = open[1] ? 1 - r : 1;
+        const z0 = open[2] ? r : 0;
+        const z1 = open[3] ? 1 - r : 1;
+
+        addRoundedPatch(build, x, z, 1, 1, function(s, t) {
+            const lx = x0 + (x1 - x0) * s;
+            const lz = z0 + (z1 - z0) * t;
+
+            return {
+                pos: [lx, topY, lz],
+                normal: [0, 1, 0],
+                slot: "top",
+                uv: [lx, 1 - lz]
+            };
+        }, false);
+
+        for(let i = 0; i < ROUNDED_SIDES.length; i++) {
+            const side = ROUNDED_SIDES[i];
+            const next = ROUNDED_SIDES[side.next];
+
+            if(!open[i]) {
+                continue;
+            }
+
+            const a0 = open[side.prev] ? r - 0.5 : -0.5;
+            const a1 = open[side.next] ? 0.5 - r : 0.5;
+
+            // bevel along the top edge
+            addRoundedPatch(build, x, z, segments, 1, function(s, t) {
+                const out = Math.sin(s * halfPi);
+                const up = Math.cos(s * halfPi);
+                const a = a0 + (a1 - a0) * t;
+                const inset = 0.5 - r + out * r;
+
+                return {
+                    pos: [0.5 + side.n[0] * inset + side.t[0] * a, topY - r + up * r, 0.5 + side.n[1] * inset + side.t[1] * a],
+                    normal: [side.n[0] * out, up, side.n[1] * out],
+                    slot: "side",
+                    uv: [a + 0.5, 1 - s * r]
+                };
+            }, true);
+
+            // a bevel running into a closed side leaves a notch against the neighbour, fill it
+            for(const end of [-0.5, 0.5]) {
+                if(open[end < 0 ? side.prev : side.next]) {
+                    continue;
+                }
+
+                const profile = [];
+
+                for(let j = 0; j <= segments; j++) {
+                    const inset = 0.5 - r + Math.sin(j / segments * halfPi) * r;
+
+                    profile.push([0.5 + side.n[0] * inset + side.t[0] * end, topY - r + Math.cos(j / segments * halfPi) * r, 0.5 + side.n[1] * inset + side.t[1] * end]);
+                }
+
+                const dir = end * 2;
+                const cornerPt = [0.5 + (side.n[0] + side.t[0] * dir) * 0.5, topY, 0.5 + (side.n[1] + side.t[1] * dir) * 0.5];
+
+                addRoundedFan(build, x, z, cornerPt, profile, [-side.t[0] * dir, 0, -side.t[1] * dir], "side", function(pos) {
+                    return [0.5 - end, pos[1] - floorZ];
+                });
+            }
+
+            if(!open[side.next]) {
+                continue;
+            }
+
+            const cx = 0.5 + (0.5 - r) * (side.n[0] + next.n[0]);
+            const cz = 0.5 + (0.5 - r) * (side.n[1] + next.n[1]);
+
+            // rounded cap where two bevels meet
+            addRoundedPatch(build, x, z, segments, segments, function(s, t) {
+                const out = Math.sin(s * halfPi);
+                const up = Math.cos(s * halfPi);
+                const dx = out * (Math.cos(t * halfPi) * side.n[0] + Math.sin(t * halfPi) * next.n[0]);
+                const dz = out * (Math.cos(t * halfPi) * side.n[1] + Math.sin(t * halfPi) * next.n[1]);
+
+                return {
+                    pos: [cx + dx * r, topY - r + up * r, cz + dz * r],
+                    normal: [dx, up, dz],
+                    slot: "side",
+                    uv: [1 - r + t * r, 1 - s * r]
+                };
+            }, true);
+        }
+    }
+
+    if(noSides) {
+        return;
+    }
+
+    // bottom follows the rounded footprint of the lowest level
+    const base = levels[0];
+
+    addRoundedFan(build, x, z, [0.5, base.y, 0.5], getRoundedOutline(base.open, r, segments, base.y), [0, -1, 0], "bottom", getRoundedFlatUV);
+}
+
+// a slope's ramp on its rounded column, the walls under the ramp follow the rounded footprint
+function addRoundedRamp(build, x, z, open, floorZ, ramp, rounded) {
+    const r = rounded.radius;
+    const segments = rounded.segments;
+    const halfPi = Math.PI / 2;
+    const topY = floorZ + 1;
+
+    const getVertex = function(px, pz, t, normal, u) {
+        const h = topY + (floorZ + ramp(px, pz) - topY) * t;
+
+        return {
+            pos: [px, h, pz],
+            normal: normal,
+            slot: "side",
+            uv: [u, h - topY]
+        };
+    };
+
+    for(let i = 0; i < ROUNDED_SIDES.length; i++) {
+        const side = ROUNDED_SIDES[i];
+        const next = ROUNDED_SIDES[side.next];
+
+        if(!open[i]) {
+            continue;
+        }
+
+        const a0 = open[side.prev] ? r - 0.5 : -0.5;
+        const a1 = open[side.next] ? 0.5 - r : 0.5;
+
+        addRoundedPatch(build, x, z, 1, 1, function(s, t) {
+            const a = a0 + (a1 - a0) * s;
+
+            return getVertex(0.5 + side.n[0] * 0.5 + side.t[0] * a, 0.5 + side.n[1] * 0.5 + side.t[1] * a, t, [side.n[0], 0, side.n[1]], a + 0.5);
+        }, false);
+
+        if(!open[side.next]) {
+            continue;
+        }
+
+        const cx = 0.5 + (0.5 - r) * (side.n[0] + next.n[0]);
+        const cz = 0.5 + (0.5 - r) * (side.n[1] + next.n[1]);
+
+        addRoundedPatch(build, x, z, segments, 1, function(s, t) {
+            const dx = Math.cos(s * halfPi) * side.n[0] + Math.sin(s * halfPi) * next.n[0];
+            const dz = Math.cos(s * halfPi) * side.n[1] + Math.sin(s * halfPi) * next.n[1];
+
+            return getVertex(cx + dx * r, cz + dz * r, t, [dx, 0, dz], 1 - r + s * r);
+        }, true);
+    }
+
+    const outline = getRoundedOutline(open, r, segments, 0).map(pos => [pos[0], floorZ + ramp(pos[0], pos[2]), pos[2]]);
+
+    addRoundedFan(build, x, z, [0.5, floorZ + ramp(0.5, 0.5), 0.5], outline, [0, 1, 0], "top", getRoundedFlatUV);
+}
+
+function getRoundedFlatUV(pos) {
+    return [pos[0], 1 - pos[2]];
+}
@@ -0,0 +1,55 @@
+/**
+ * Worker side of the chunk mesh pool. Receives a legacy chunk job, meshes it and sends the
+ * geometry back as transferable typed arrays.
+ */
+
+import { meshLegacyChunk } from "./chunkmesher.js";
+
+self.onmessage = function(e) {
+    const msg = e.data;
+
+    let result;
+
+    try {
+        result = meshLegacyChunk(msg.job);
+    } catch(err) {
+        self.postMessage({
+            id: msg.id,
+            error: err.message
+        });
+
+        return;
+    }
+
+    const out = {
+        id: msg.id,
+        positions: new Float32Array(result.positions),
+        normals: new Float32Array(result.normals),
+        uvs: new Float32Array(result.uvs),
+        indices: new Uint32Array(result.indices),
+        fixedNormals: result.fixedNormals,
+        waterPositions: new Float32Array(result.waterPositions),
+        waterNormals: new Float32Array(result.waterNormals),
+        waterUvs: new Float32Array(result.waterUvs),
+        waterIndices: new Uint32Array(result.waterIndices),
+        hasWater: result.hasWater,
+        atlasTiles: result.atlasTiles ? new Float32Array(result.atlasTiles) : null
+    };
+
+    const transfer = [
+        out.positions.buffer,
+        out.normals.buffer,
+        out.uvs.buffer,
+        out.indices.buffer,
+        out.waterPositions.buffer,
+        out.waterNormals.buffer,
+        out.waterUvs.buffer,
+        out.waterIndices.buffer
+    ];
+
+    if(out.atlasTiles) {
+        transfer.push(out.atlasTiles.buffer);
+    }
+
+    self.postMessage(out, transfer);
+};
@@ -17,6 +17,9 @@ import { VPPLoader } from "vpploader";
 import { renderPPP } from "ppp-tools";
 import { BMLoader } from "bmloader";
 
+import { UV_TEXT_MIN, UV_TEXT_MAX, WORLD_HEIGHT, getChunkTileLayer, getChunkHeightRange, meshLegacyChunk, meshLegacyChunkLod, meshLegacyChunkTile, mergeLegacyChunkColumns } from "./chunkmesher.js";
+import { encodeChunkData, decodeChunkData } from "./chunkcodec.js";
+
 import {
     MeshPhongMaterial,
     AdditiveBlending,
@@ -32,12 +35,14 @@ import {
     Color,
     ColorManagement,
     CircleGeometry,
+    DataArrayTexture,
     DataTexture,
     DoubleSide,
     DirectionalLight,
     Euler,
     Float32BufferAttribute,
     FogExp2,
+    Frustum,
     GridHelper,
     Group,
     HemisphereLight,
@@ -62,6 +67,7 @@ import {
     PointLight,
     Quaternion,
     Raycaster,
+    RedFormat,
     RepeatWrapping,
     RingGeometry,
     Scene,
@@ -91,6 +97,7 @@ import { FilmPass } from "three/examples/jsm/postprocessing/FilmPass.js";
 import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
 import { OutlinePass } from "three/examples/jsm/postprocessing/OutlinePass.js";
 import { GammaCorrectionShader } from "three/addons/shaders/GammaCorrectionShader.js";
+import { DecalGeometry } from "three/addons/geometries/DecalGeometry.js";
 
 
 
@@ -112,6 +119,30 @@ const MASK_ROTS = {
     right: 0
 };
 
+// tile mask entries, the mask shape they blend with, its rotation and the neighbour they face
+// corners list the two sides that already cover them
+const TILE_MASKS = [
+    { name: "top", mask: "side", rotation: MASK_ROTS.top, dx: 0, dz: -1 },
+    { name: "bottom", mask: "side", rotation: MASK_ROTS.bottom, dx: 0, dz: 1 },
+    { name: "left", mask: "side", rotation: MASK_ROTS.left, dx: -1, dz: 0 },
+    { name: "right", mask: "side", rotation: MASK_ROTS.right, dx: 1, dz: 0 },
+    { name: "bottomRight", mask: "corner", rotation: MASK_ROTS.right, dx: 1, dz: 1, sides: ["bottom", "right"] },
+    { name: "bottomLeft", mask: "corner", rotation: MASK_ROTS.bottom, dx: -1, dz: 1, sides: ["bottom", "left"] },
+    { name: "topLeft", mask: "corner", rotation: MASK_ROTS.left, dx: -1, dz: -1, sides: ["top", "left"] },
+    { name: "topRight", mask: "corner", rotation: MASK_ROTS.top, dx: 1, dz: -1, sides: ["top", "right"] }
+];
+
+// extra canvas chunk maps, made on first use and filled with the value that leaves the surface as it is
+const CANVAS_CHUNK_MAPS = [
+    { key: "lm", which: "light", fill: "#000000" },
+    { key: "nm", which: "normal", fill: "#8080ff" },
+    { key: "rm", which: "roughness", fill: "#ffffff" },
+    { key: "mm", which: "metalness", fill: "#000000" }
+];
+
+// material slots a canvas chunk's canvases go into
+const CANVAS_CHUNK_TEXTURES = ["map", "bumpMap", "lightMap", "normalMap", "roughnessMap", "metalnessMap"];
+
 const USE_COLORSPACE = SRGBColorSpace;
 
 const DEF_CAMZ_OFFSET = 1.3;
@@ -125,6 +156,9 @@ const THREESISXY_PI =  π / 360;
 const ONE_EIGHTY_π = π / 180;
 const ONE_EIGHTY_π_REV = 180 / π;
 const tempMatrix = new Matrix4();
+const chunkViewMatrix = new Matrix4();
+const chunkViewFrustum = new Frustum();
+const chunkViewBox = new Box3();
 const TEXTURE_LOADER = new TextureLoader();
 const DEF_FOG_DENSITY = 0.0075;
 const DEF_WATER_OPACITY = 0.75;
@@ -136,422 +170,79 @@ const MAX_PHI = 180;
 
 const DEF_APERTURE_RATIO = 1.25;
 
-const UV_TEXT_MIN = 0.01;
-const UV_TEXT_MAX = 0.99;
+const EDGE_SCROLLING_BUFFER = 10;
+const EDGE_SCROLLING_SPEED = 8;
+const DEF_SIZE_OUT_MULTIPLIER = 0.25;
+
+// distances are in tiles from the center position to a chunk's center
+const DEF_CHUNK_LOD_LEVELS = [
+    { distance: 100, factor: 2 },
+    { distance: 200, factor: 5, topsOnly: true }
+];
+const DEF_CHUNK_LOD_HYSTERESIS = 8;
+const CHUNK_LOD_INTERVAL = 250;
+const CHUNK_LOD_BUILDS_PER_UPDATE = 2;
+
+const DEF_STREAM_LOAD_RADIUS = 2;
+const DEF_STREAM_CONCURRENCY = 2;
+const DEF_STREAM_CACHE_SIZE = 32;
+const CHUNK_STREAM_INTERVAL = 200;
+const CHUNK_STREAM_RETRY_DELAY = 2000;
+
+const CHUNK_MEMORY_INTERVAL = 500;
+
+const CANVAS_WATER_OPACITY = 0.7;
+const CANVAS_WATER_COLOR = "#03A9F4";
+const DEF_TILE_FRAME_RATE = 8;
+
+// tile offsets the road painting in getTextureIndex runs toward, n is +y and e is -x on the tile top
+const ROAD_DIRS = {
+    n: [0, 1],
+    ne: [-1, 1],
+    e: [-1, 0],
+    se: [-1, -1],
+    s: [0, -1],
+    sw: [1, -1],
+    w: [1, 0],
+    nw: [1, 1]
+};
 
-//const UV_TEXT_MIN = 0.02;
-//const UV_TEXT_MAX = 0.98;
+const DEF_ROAD_COLOR = "#555555";
+const DEF_ROAD_WIDTH = 4;
 
-//const UV_TEXT_MIN = 0;
-//const UV_TEXT_MAX = 1;
+// the neighbouring chunk each side of a chunk's edges comes from, in chunk offsets
+const CHUNK_EDGE_SIDES = [
+    { name: "xMin", dx: -1, dy: 0 },
+    { name: "xMax", dx: 1, dy: 0 },
+    { name: "zMin", dx: 0, dy: -1 },
+    { name: "zMax", dx: 0, dy: 1 }
+];
 
+const DEF_MAX_DECALS = 64;
+const DECAL_FADE_TIME = 1000;
+const DECAL_LEVEL_DEPTH = 4;
+const RETIRED_MATERIAL_GRACE = 2000;
+const IMPORTED_TEXTURE_GRACE = 60000;
 
-const EDGE_SCROLLING_BUFFER = 10;
-const EDGE_SCROLLING_SPEED = 8;
-const DEF_SIZE_OUT_MULTIPLIER = 0.25;
+// tile overlay styles, a style's index is what goes into the overlay's style texture
+const TILE_OVERLAY_STYLES = ["solid", "pulse", "stripes"];
+
+const DEF_FOG_COLOR = "#000000";
+const DEF_FOG_EXPLORED_OPACITY = 0.6;
+const DEF_FOG_SOFTNESS = 1.5;
 
 const DEF_INSTANCE_COUNT = 250000;
-const WORLD_HEIGHT = 128;
 const SNOW_RANGE = 60;
 const FINE_PIXEL_STEP = 1;
 const PIXEL_STEP  = 10;
 const LINE_HEIGHT = 40;
 const PAGE_HEIGHT = 800;
 const TEXTURE_SIZE = 16;
-const SMALL_DEPRESS_AMT = 0.98;
-const TEXTURE_SIZE_MULTIPLIER = 1.0;
-const TEXTURE_FACES = [
-    { // left
-        uvRow: 0,
-        dir: [ -1,  0,  0, ],
-        corners: [
-            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-        ],
-        altcorners: [
-            { pos: [ 0, 0.9, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 0, 0.9, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-        ],
-        smdepress: [
-            { pos: [ 0, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 0, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-        ],
-        slopes: {
-            N: [
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], }
-            ],
-            E: [
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ],
-            W: [
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ],
-            S: [
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ]
-        }
-    },
-    { // right
-        uvRow: 0,
-        dir: [  1,  0,  0, ],
-        corners: [
-            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-        ],
-        altcorners: [
-            { pos: [ 1, 0.9, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 1, 0.9, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-        ],
-        smdepress: [
-            { pos: [ 1, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 1, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-        ],
-        slopes: {
-            N: [
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ],
-            E: [
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ],
-            W: [
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ],
-            S: [
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] }
-            ]
-        }
-    },
-    { // bottom
-        uvRow: 1,
-        dir: [  0, -1,  0, ],
-        corners: [
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }
-        ],
-        altcorners: [
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }
-        ],
-        smdepress: [
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }
-        ],
-        slopes: {
-            N: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            E: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            W: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            S: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NE: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NW: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SW: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SE: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NWI: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NEI: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SEI: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SWI: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ]
-        }
-    },
-    { // top
-        uvRow: 2,
-        dir: [  0,  1,  0, ],
-        corners: [
-            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }/*
-            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-             */
-        ],
-        altcorners: [
-            { pos: [ 0, 0.9, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 1, 0.9, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 0, 0.9, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 1, 0.9, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        smdepress: [
-            { pos: [ 0, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 1, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 0, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 1, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        slopes: {
-            N: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            E: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NW: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            W: [
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            S: [
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NE: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SW: [
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SE: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NWI: [
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            NEI: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SEI: [
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ],
-            SWI: [
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] }
-            ]
-        }
-    },
-    { // back
-        uvRow: 0,
-        dir: [  0,  0, -1, ],
-        corners: [
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 0, 0, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-            { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        altcorners: [
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 0, 0, 0 ], uv: [ 1, UV_TEXT_MIN ] },
-            { pos: [ 1, 0.9, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 0, 0.9, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        smdepress: [
-            { pos: [ 1, 0, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-            { pos: [ 0, 0, 0 ], uv: [ 1, UV_TEXT_MIN ] },
-            { pos: [ 1, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-            { pos: [ 0, SMALL_DEPRESS_AMT, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        slopes: {
-            N: [
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ],
-            E: [
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 1, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ],
-            W: [
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] }, // might remove/alter this
-                { pos: [ 0, 2, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ],
-            S: [
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ] },
-                { pos: [ 1, 1, 0 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ] },
-                { pos: [ 0, 1, 0 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ]
-        }
-    },
-    { // front
-        uvRow: 0,
-        dir: [  0,  0,  1, ],
-        corners: [
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-            { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        altcorners: [
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-            { pos: [ 0, 0.9, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 1, 0.9, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        smdepress: [
-            { pos: [ 0, 0, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-            { pos: [ 1, 0, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-            { pos: [ 0, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-            { pos: [ 1, SMALL_DEPRESS_AMT, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-        ],
-        slopes: {
-            N: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ],
-            E: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ],
-            W: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] } // might remove/alter this
-            ],
-            S: [
-                { pos: [ 0, 1, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MIN ], },
-                { pos: [ 1, 1, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MIN ], },
-                { pos: [ 0, 2, 1 ], uv: [ UV_TEXT_MIN, UV_TEXT_MAX ], },
-                { pos: [ 1, 2, 1 ], uv: [ UV_TEXT_MAX, UV_TEXT_MAX ] }
-            ]
-        }
-    },
-];
 
+// the shared chunk atlas is a texture array, each page one row of tiles
+const DEF_ATLAS_PAGE_WIDTH = 2048;
+const DEF_ATLAS_MAX_PAGES = 16;
+const TEXTURE_ATLAS_MANIFEST_VERSION = 1;
 const PARTICLE_VERTEX_SHADER = `
     uniform float pointMultiplier;
     attribute float size;
@@ -821,11 +512,20 @@ let globalParticleRecycling = [];
 
 let curAtlasIndex = 0;
 let textureAtlas = {};
+let atlasEntries = [];
+let freeAtlasIndices = [];
+let atlasPageWidth = DEF_ATLAS_PAGE_WIDTH;
+let atlasMaxPages = DEF_ATLAS_MAX_PAGES;
+let atlasPageCount = 0;
+let atlasFullWarned = false;
+let textureAtlasSeed = 0;
+let atlasCellCanvas = null;
+let atlasUniforms = null;
 let curAtlasTexture = null;
-let curAtlasRoughnessTexture = null;
-let curAtlasMetalnessTexture = null;
+let curAtlasSurfaceTexture = null;
 let curAtlasMaterial = null;
 let curAtlasWaterMaterial = null;
+let retiredAtlasMaterials = [];
 let globalSunGeo = null;
 let globalPlaneGeo = null;
 let globalClock = null;
@@ -849,6 +549,22 @@ let globalToyModeEnabled = false;
 
 let chunkCanvases = {};
 
+let tileAnimations = {};
+let tileAnimationFrames = {};
+let lastTileAnimationUpdate = null;
+
+let decalTextures = {};
+let decalMaterialPool = [];
+
+let tileOverlayTime = { value: 0 };
+
+let chunkMeshWorkers = [];
+let chunkMeshQueue = [];
+let chunkMeshJobs = {};
+let chunkMeshJobCtr = 0;
+let chunkMeshPoolSize = null;
+let chunkMeshWorkersFailed = false;
+
 let gphInit = false;
 let windowFocused = true;
 
@@ -858,6 +574,9 @@ let genTexContext = genTexCanvas.getContext("2d");
 const vppLoader = new VPPLoader();
 const bmLoader = new BMLoader();
 
+// instanced objects hidden by fog of war are scaled away instead of dropped, instance ids stay put for hit tests
+const FOG_HIDDEN_MATRIX = new Matrix4().makeScale(0, 0, 0);
+
 window.addEventListener("resize", onResize);
 document.addEventListener("visibilitychange", onVisibilityChange);
 
@@ -923,13 +642,172 @@ export function setTextureSize(size) {
 
     curAtlasIndex = 0;
     textureAtlas = {};
-    curAtlasTexture = null;
-    curAtlasRoughnessTexture = null;
-    curAtlasMetalnessTexture = null;
+    atlasEntries = [];
+    freeAtlasIndices = [];
 
     resetAtlasTexture();
 }
 
+/**
+ * Limit the shared chunk texture atlas. The atlas is a texture array of pages, each one row of tiles
+ * pageWidth pixels wide, and it grows as needed up to maxPages. Once it's full, cells no loaded
+ * chunk uses are freed for new textures, and textures that still don't fit wait until some are.
+ * A new page width lays the atlas out again, chunks already built keep the old one until they're rebuilt.
+ * @param {number} maxPages - most pages the atlas grows to, 16 by default
+ * @param {number} pageWidth - optional page width in pixels, 2048 by default, keep it within the GPU's max texture size
+ */
+export function setTextureAtlasCapacity(maxPages, pageWidth) {
+    atlasMaxPages = Math.max(1, Math.floor(maxPages || DEF_ATLAS_MAX_PAGES));
+    atlasFullWarned = false;
+
+    if(pageWidth && pageWidth != atlasPageWidth) {
+        atlasPageWidth = pageWidth;
+        resetAtlasTexture();
+    }
+}
+
+/**
+ * Seed the procedural tile variants of the shared atlas, their noise, speckles, blended tops and brick
+ * and checkered colors. A variant comes out the same for the same seed on every run and every client.
+ * Applies to textures generated after the call.
+ * @param {number|string} seed - the seed, 0 by default
+ */
+export function setTextureAtlasSeed(seed) {
+    textureAtlasSeed = seed || 0;
+}
+
+/**
+ * Export the shared atlas textures made so far as one image and a manifest of where each one is in it,
+ * so a game can ship a pre-baked atlas and load it with importTextureAtlas instead of generating it.
+ * Textures still loading are left out. Image textures from another origin taint the canvas and can't be exported.
+ * @returns {object} {image, manifest}, image is a png data url, manifest is {version, textureSize, seed, columns, textures: [{key, name, cell, opacity, roughness, metalness, animated}]}
+ */
+export function exportTextureAtlas() {
+    const names = Object.keys(textureAtlas).filter(name => !textureAtlas[name].loading);
+    const columns = Math.max(1, Math.ceil(Math.sqrt(names.length)));
+    const rows = Math.max(1, Math.ceil(names.length / columns));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = columns * useTextureSize;
+    canvas.height = rows * useTextureSize;
+
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = false;
+
+    const textures = names.map(function(name, cell) {
+        const texture = textureAtlas[name];
+
+        ctx.drawImage(texture.canvas, (cell % columns) * useTextureSize, Math.floor(cell / columns) * useTextureSize);
+
+        return {
+            key: name,
+            name: texture.name,
+            cell: cell,
+            opacity: texture.opacity,
+            roughness: texture.roughness,
+            metalness: texture.metalness,
+            animated: texture.animated
+        };
+    });
+
+    return {
+        image: canvas.toDataURL("image/png"),
+        manifest: {
+            version: TEXTURE_ATLAS_MANIFEST_VERSION,
+            textureSize: useTextureSize,
+            seed: textureAtlasSeed,
+            columns: columns,
+            textures: textures
+        }
+    };
+}
+
+/**
+ * Load an atlas made by exportTextureAtlas. Its textures go straight into the shared atlas, and tiles
+ * asking for them use them as they are instead of generating or loading them. Textures already in the
+ * atlas are kept, and it has to have been exported at the current texture size. The manifest's seed is
+ * applied with setTextureAtlasSeed, so textures it doesn't have come out the same as on the exporting client.
+ * @param {object} atlas - {image, manifest}, image is a url or data url, an image or a canvas
+ * @returns {Promise<number>} how many textures were added
+ */
+export async function importTextureAtlas(atlas) {
+    const manifest = atlas.manifest;
+
+    if(!manifest || !manifest.textures || manifest.version > TEXTURE_ATLAS_MANIFEST_VERSION) {
+        throw new Error("unsupported texture atlas manifest");
+    }
+
+    if(manifest.textureSize != useTextureSize) {
+        throw new Error("texture atlas was exported at " + manifest.textureSize + "px, textures are " + useTextureSize + "px now");
+    }
+
+    if(manifest.seed != undefined && manifest.seed != textureAtlasSeed) {
+        if(Object.keys(textureAtlas).length) {
+            console.warn("texture atlas was exported with seed " + manifest.seed + ", textures already generated with seed " + textureAtlasSeed + " are kept");
+        }
+
+        setTextureAtlasSeed(manifest.seed);
+    }
+
+    let image = atlas.image;
+
+    if(typeof image == "string") {
+        image = await loadImageAsync(image);
+    }
+
+    let added = 0;
+
+    for(const entry of manifest.textures) {
+        if(textureAtlas[entry.key]) {
+            continue;
+        }
+
+        const atlasIdx = allocateAtlasIndex();
+
+        if(atlasIdx == -1) {
+            console.warn("texture atlas is full, " + (manifest.textures.length - added) + " imported textures were left out");
+            break;
+        }
+
+        const canvas = document.createElement("canvas");
+        canvas.width = useTextureSize;
+        canvas.height = useTextureSize;
+        canvas.style.imageRendering = "pixelated";
+
+        const ctx = canvas.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+
+        const sx = (entry.cell % manifest.columns) * useTextureSize;
+        const sy = Math.floor(entry.cell / manifest.columns) * useTextureSize;
+
+        ctx.drawImage(image, sx, sy, useTextureSize, useTextureSize, 0, 0, useTextureSize, useTextureSize);
+
+        const textObj = {
+            idx: atlasIdx,
+            name: entry.name,
+            canvas: canvas,
+            loading: false,
+            opacity: entry.opacity,
+            roughness: entry.roughness,
+            metalness: entry.metalness,
+            animated: !!entry.animated,
+            refs: 0,
+            // given longer before it can be collected, see collectAtlasGarbage
+            imported: true,
+            releasedAt: performance.now()
+        };
+
+        textureAtlas[entry.key] = textObj;
+        atlasEntries[atlasIdx] = textObj;
+
+        writeAtlasCell(textObj);
+
+        added++;
+    }
+
+    return added;
+}
+
 // Add mobile-optimized texture size setting
 export function setMobileOptimizedTextures() {
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -997,6 +875,19 @@ export class Scroll3dEngine {
 
         this.sunSphere = null;
         this.chunkMode = options.chunkMode || "legacy";
+        this.useChunkWorkers = options.useChunkWorkers || false;
+        this.greedyMeshing = options.greedyMeshing || false;
+        this.minWorldHeight = options.minWorldHeight || 0;
+        this.chunkAmbientOcclusion = options.chunkAmbientOcclusion || 0;
+        this.autoChunkMasks = options.autoChunkMasks || false;
+        this.heightfieldCliffHeight = options.heightfieldCliffHeight != undefined ? options.heightfieldCliffHeight : 2;
+        this.textureSeed = options.textureSeed != undefined ? options.textureSeed : null;
+        this.maxWorldHeight = options.maxWorldHeight !== undefined ? options.maxWorldHeight : WORLD_HEIGHT;
+        this.chunkLod = null;
+        this.lastChunkLodUpdate = null;
+        this.chunkStreamer = null;
+        this.memoryBudget = null;
+        this.lastChunkMemoryUpdate = null;
 
         this.useVRControllerGrips = options.useVRControllerGrips || true;
 
@@ -1113,9 +1004,14 @@ export class Scroll3dEngine {
 
         this.particleSystems = {};
         this.chunks = {};
+        this.chunkRecords = {};
         this.objects = {};
         this.hitTestObjects = [];
 
+        if(options.chunkLod) {
+            this.setChunkLod(options.chunkLod);
+        }
+
         this.lastHoverReport = {
             x: 0,
             y: 0,
@@ -1126,6 +1022,16 @@ export class Scroll3dEngine {
         this.clickFunction = null;
         this.rightClickFunction = null;
         this.cameraMovedFunction = null;
+        this.chunkEvictedFunction = null;
+        this.decals = {};
+        this.maxDecals = DEF_MAX_DECALS;
+        this.terrainDeformedFunction = null;
+        this.pendingDeforms = [];
+        this.roads = {};
+        this.roadTiles = {};
+        this.tileOverlays = {};
+        this.fogOfWar = null;
+        this.visionSources = {};
         this.renderLoopFunction = null;
         this.pointerListener = null;
         this.wheelFunction = null;
@@ -1251,6 +1157,230 @@ export class Scroll3dEngine {
         this.shouldRender = true;
     }
 
+    /**
+     * Set how far apart in height two neighbouring tiles can be before the "heightfield" chunk mode
+     * puts a cliff between them instead of blending their corners.
+     * Applies to chunks added after the call.
+     * @param {number} height - height difference in levels, 2 by default
+     */
+    setHeightfieldCliffHeight(height) {
+        this.heightfieldCliffHeight = height == undefined ? 2 : height;
+    }
+
+    /**
+     * Seed the procedural tile textures of this instance's chunks, so noise, speckles and brick colors
+     * come out the same on every client and every run. A chunk's own seed wins over this one.
+     * Applies to chunks added after the call.
+     * @param {number|string} seed - the seed, null to use the shared atlas seed
+     */
+    setTextureSeed(seed) {
+        this.textureSeed = seed == undefined ? null : seed;
+    }
+
+    /**
+     * Merge coplanar faces that share an atlas texture into larger quads when building legacy chunks.
+     * Applies to chunks added after the call.
+     * @param {boolean} enabled - use greedy meshing for this instance
+     */
+    setGreedyMeshingEnabled(enabled) {
+        this.greedyMeshing = enabled;
+    }
+
+    /**
+     * Set the vertical range chunks are built in. Columns go from min up to their own z, so a negative
+     * min fills ground under trenches and below sea level terrain, and max only caps tall columns.
+     * Applies to chunks added after the call.
+     * @param {number} min - lowest tile height, defaults to 0
+     * @param {number} max - tile height columns stop below, null to follow each tile's z with no cap
+     */
+    setWorldHeight(min = 0, max = WORLD_HEIGHT) {
+        this.minWorldHeight = min;
+        this.maxWorldHeight = max;
+    }
+
+    /**
+     * Bake ambient occlusion into canvas chunks from the heights of neighbouring columns. Corners crowded
+     * by taller columns or layers get darker, which keeps terrain grounded with shadows turned off.
+     * Applies to chunks added after the call.
+     * @param {number} strength - brightness taken off per occluding cell (up to three per corner), 0 turns it off
+     */
+    setChunkAmbientOcclusion(strength) {
+        this.chunkAmbientOcclusion = strength || 0;
+    }
+
+    /**
+     * Let canvas chunks work out tile transition masks from their neighbours, including tiles in loaded
+     * neighbouring chunks. A neighbour blends over a tile when its texture has a higher layer in the
+     * canvas texture atlas. Tiles that set their own masks keep them.
+     * Applies to chunks added after the call.
+     * @param {boolean} enabled - true to generate masks
+     */
+    setAutoChunkMasks(enabled) {
+        this.autoChunkMasks = !!enabled;
+    }
+
+    /**
+     * Swap chunks far from the center position over to coarser meshes. Each level merges factor x factor
+     * tiles into one, topsOnly drops the side walls as well. A chunk only moves to a level once it is
+     * hysteresis tiles past that level's distance, and back once it is hysteresis tiles inside it,
+     * so chunks near a boundary don't flicker. Works for legacy and canvas chunks, far meshes use the atlas.
+     * @param {object} options - {levels: [{distance, factor, topsOnly}], hysteresis}, true for the defaults, or false to turn LOD off
+     */
+    setChunkLod(options) {
+        const instance = this;
+
+        for(const chunkId in instance.chunkRecords) {
+            resetChunkLods(instance, chunkId, instance.chunkRecords[chunkId]);
+        }
+
+        instance.lastChunkLodUpdate = null;
+
+        if(!options) {
+            instance.chunkLod = null;
+            return;
+        }
+
+        if(options === true) {
+            options = {};
+        }
+
+        instance.chunkLod = {
+            levels: (options.levels || DEF_CHUNK_LOD_LEVELS).slice().sort((a, b) => a.distance - b.distance),
+            hysteresis: options.hysteresis != undefined ? options.hysteresis : DEF_CHUNK_LOD_HYSTERESIS
+        };
+    }
+
+    /**
+     * Stream chunks in and out around the center position. The provider is asked for every chunk within
+     * loadRadius, nearest first and at most concurrency at a time, and chunks past unloadRadius are removed.
+     * Provided chunk data is kept in a cache of cacheSize chunks so panning back doesn't ask again.
+     * @param {function} provider - (cx, cy) => Promise resolving to chunk data for addChunk, or null for no chunk there. Pass null to stop streaming, the streamed chunks are removed.
+     * @param {object} options - {loadRadius, unloadRadius, concurrency, cacheSize}, radii are in chunks at the default zoom and grow when zoomed out
+     */
+    setChunkProvider(provider, options = {}) {
+        const instance = this;
+
+        stopChunkStreaming(instance);
+
+        if(!provider) {
+            return;
+        }
+
+        const loadRadius = options.loadRadius != undefined ? options.loadRadius : DEF_STREAM_LOAD_RADIUS;
+
+        instance.chunkStreamer = {
+            provider: provider,
+            loadRadius: loadRadius,
+            unloadRadius: Math.max(loadRadius, options.unloadRadius != undefined ? options.unloadRadius : loadRadius + 1),
+            concurrency: Math.max(1, options.concurrency || DEF_STREAM_CONCURRENCY),
+            cacheSize: options.cacheSize != undefined ? options.cacheSize : DEF_STREAM_CACHE_SIZE,
+            loaded: {},
+            pending: {},
+            failed: {},
+            evicted: {},
+            cache: new Map(),
+            active: 0,
+            lastUpdate: null,
+            lastView: null
+        };
+    }
+
+    /**
+     * Keep chunk memory under a budget. When chunk geometry (full meshes, water and LOD meshes) or canvas
+     * chunk canvases go over, the chunks that have been out of view the longest are removed and reported
+     * through the chunk evicted function. Chunks in view are never evicted. When the texture atlas holds
+     * more than atlasTextures entries, textures no chunk uses anymore are released and their cells reused.
+     * @param {object} budget - {geometryBytes, canvasBytes, atlasTextures}, any left out is unlimited, null turns the budget off
+     */
+    setMemoryBudget(budget) {
+        this.memoryBudget = budget || null;
+    }
+
+    /**
+     * Report what the chunk subsystems currently hold.
+     * @returns {object} chunks, canvas chunks, texture atlas, mesh workers, streaming, objects and particle systems
+     */
+    getMemoryStats() {
+        const instance = this;
+
+        const stats = {
+            chunks: {
+                count: 0,
+                geometryBytes: 0,
+                lodMeshes: 0,
+                columnCaches: 0
+            },
+            canvasChunks: {
+                count: 0,
+                canvasBytes: 0
+            },
+            atlas: {
+                textures: Object.keys(textureAtlas).length,
+                pages: atlasPageCount,
+                capacity: getAtlasPageCells() * atlasMaxPages,
+                freeCells: freeAtlasIndices.length,
+                canvasBytes: (Object.keys(textureAtlas).length + atlasPageCount * getAtlasPageCells() * 2) * useTextureSize * useTextureSize * 4,
+                retiredMaterials: retiredAtlasMaterials.length
+            },
+            meshWorkers: {
+                workers: chunkMeshWorkers.length,
+                busy: chunkMeshWorkers.filter(entry => entry.job).length,
+                queued: chunkMeshQueue.length
+            },
+            streaming: null,
+            objects: Object.keys(instance.objects).length,
+            particleSystems: Object.keys(instance.particleSystems).length,
+            budget: instance.memoryBudget
+        };
+
+        for(const chunkId in instance.chunkRecords) {
+            const record = instance.chunkRecords[chunkId];
+
+            stats.chunks.count++;
+            stats.chunks.geometryBytes += getChunkGeometryBytes(instance, chunkId, record);
+
+            if(record.lods) {
+                stats.chunks.lodMeshes += Object.keys(record.lods).length;
+            }
+
+            if(record.columns) {
+                stats.chunks.columnCaches++;
+            }
+
+            if(!record.job) {
+                stats.canvasChunks.count++;
+                stats.canvasChunks.canvasBytes += getChunkCanvasBytes(instance, chunkId);
+            }
+        }
+
+        const streamer = instance.chunkStreamer;
+
+        if(streamer) {
+            stats.streaming = {
+                loaded: Object.keys(streamer.loaded).length,
+                pending: streamer.active,
+                cached: streamer.cache.size,
+                evicted: Object.keys(streamer.evicted).length
+            };
+        }
+
+        return stats;
+    }
+
+    /**
+     * Build legacy chunk geometry in a pool of web workers instead of on the main thread.
+     * Chunks closest to the center position are meshed first.
+     * @param {boolean} enabled - use the worker pool for this instance
+     * @param {number} poolSize - optional number of workers, the pool is shared by all instances
+     */
+    setChunkWorkersEnabled(enabled, poolSize = null) {
+        this.useChunkWorkers = enabled;
+
+        if(poolSize) {
+            chunkMeshPoolSize = Math.max(1, Math.round(poolSize));
+        }
+    }
+
     setTouchPadMode(mode, leftStick = true, rightStick = true, buttons = null) {
         this.touchPadMode = mode;
 
@@ -1293,6 +1423,8 @@ export class Scroll3dEngine {
             if(!obj.notHittable) {
                 addObjToHittest(instance, obj, 0);
             }
+
+            refreshObjectFog(instance, obj);
         } 
 
         instance.shouldRender = true;
@@ -1500,6 +1632,7 @@ export class Scroll3dEngine {
             }
 
             normalizeObjectPosition(object);
+            refreshObjectFog(instance, object);
         }
 
         instance.shouldRender = true;
@@ -1678,168 +1811,190 @@ export class Scroll3dEngine {
         setCameraPosition(this);
     }
 
-    addChunk(data) {
+    /**
+     * Build (or rebuild) a terrain chunk.
+     * @param {object} data - chunk definition: x, y, data grid, defTexture, etc.
+     * @param {object} roundedCorners - optional {enabled, radius, segments}, remembered on the chunk data for rebuilds
+     */
+    addChunk(data, roundedCorners) {
         const instance = this;
 
+        if(roundedCorners !== undefined) {
+            data.roundedCorners = roundedCorners;
+        }
+
         if(instance.chunkMode == "canvas") {
             addCanvasChunk(instance, data);
             return;
         }
 
-        const defTexture = data.defTexture;
-
-        const positions = [];
-        const normals = [];
-        const uvs = [];
-        const indices = [];
+        const job = createChunkMeshJob(instance, data);
 
-        const waterPositions = [];
-        const waterNormals = [];
-        const waterUvs = [];
-        const waterIndices = [];
+        if(!job) {
 
-        let defMidBleed = null;
-        let hasWater = false;
-
-        let waterColor = "#03A9F4";
+            setTimeout(function() {
+                instance.addChunk(data);
+            }, 200);
 
-        if(data.defTexture.topBleeds) {
-            defMidBleed = defTexture.top;
+            return;
         }
 
-        const defTop = getTextureIndex({
-            texture: defTexture.top,
-            noise: defTexture.noise,
-            noiseSize: this.vppSize,
-            topBlendColor: null,
-            roughness: defTexture.topRoughness,
-            metalness: defTexture.topMetalness
-        }, data, this);
+        if(instance.useChunkWorkers && queueChunkMeshJob(instance, data, job)) {
+            return;
+        }
 
-        const defMid = getTextureIndex({
-            texture: defTexture.middle,
-            noise: defTexture.noise,
-            noiseSize: this.vppSize,
-            topBlendColor: defMidBleed,
-            roughness: defTexture.middleRoughness,
-            metalness: defTexture.middleMetalness
-        }, data, this);
+        finishLegacyChunk(instance, data, job, meshLegacyChunk(job), curAtlasMaterial, curAtlasWaterMaterial);
+    }
 
-        const defBot = getTextureIndex({
-            texture: defTexture.middle,
-            noise: defTexture.noise,
-            noiseSize: this.vppSize,
-            topBlendColor: null,
-            roughness: defTexture.bottomRoughness,
-            metalness: defTexture.bottomMetalness
-        }, data, this);
+    /**
+     * Change tiles of a chunk without rebuilding it. Only the changed columns and their neighbours
+     * are meshed again and the chunk's geometry is swapped in place, so nothing flashes and running
+     * particle systems are left alone. Greedy chunks are meshed again whole, canvas chunks paint the
+     * changed tiles and their neighbours again into the canvas they have. Chunks still waiting on a
+     * worker get the changed tiles in their queued job, one already in a worker is meshed again when it comes back.
+     * Tiles whose texture is still loading are meshed once it's there, from the chunk data as it is then.
+     * @param {number} x - chunk x
+     * @param {number} y - chunk y
+     * @param {Array} tiles - [{tx, ty, ...tileProps}], props are merged into the tile at data[tx][ty], clear: true empties it
+     * @param {string} rOrder - optional render order the chunk was added with
+     */
+    updateChunkTiles(x, y, tiles, rOrder) {
+        const instance = this;
 
-        if(defTop == -1 || defMid == -1 || defBot == -1) {
+        if(rOrder == null || rOrder == undefined) {
+            rOrder = "0";
+        }
 
-            setTimeout(function() {
-                instance.addChunk(data);
-            }, 200);
+        const chunkId = x + ":" + y + ":" + rOrder;
+        const record = instance.chunkRecords[chunkId];
+        const pending = chunkMeshJobs[instance.id + ":" + chunkId];
 
+        if(!pending && !record) {
+            console.warn("updateChunkTiles: no chunk at " + chunkId);
             return;
         }
 
-        const totalAtlasSize = curAtlasIndex * useTextureSize;
+        const data = pending ? pending.data : record.data;
+        const changed = getChunkTileChanges(data.data, tiles);
 
-        for(let x = 0; x < data.data.length; x++) {
-            for(let z = 0; z < data.data.length; z++) {
-                const obj = data.data[x][z];
+        if(!pending && !record.job) {
+            applyChunkTileChanges(data.data, changed);
+            patchCanvasChunk(instance, chunkId, record, changed.map(change => [change.tx, change.ty]));
 
-                if(!obj) {
-                    continue;
-                }
+            return;
+        }
 
-                const result = addChunkObPart(instance, 
-                    obj, 
-                    data, 
-                    x, 
-                    z, 
-                    defTop, 
-                    defBot, 
-                    defMid, 
-                    defTexture, 
-                    defMidBleed, 
-                    positions, 
-                    normals, 
-                    uvs, 
-                    indices, 
-                    totalAtlasSize, 
-                    waterColor, 
-                    hasWater,
-                    waterPositions,
-                    waterNormals,
-                    waterUvs,
-                    waterIndices
-                );
-
-                if(!result) {
-                    return;
-                }
+        // every tile is resolved before the chunk changes, so its job never holds half of an update
+        const resolved = resolveChangedChunkTiles(instance, data, changed);
 
-                if(result.hasWater) {
-                    hasWater = true;
-                }
+        applyChunkTileChanges(data.data, changed);
 
-                waterColor = result.waterColor;
-            }
+        if(!resolved) {
+            // the data has the change already, only resolving it waits for the texture
+            retryChunkTiles(instance, chunkId, data, changed.map(change => [change.tx, change.ty]));
+            return;
         }
 
+        patchChunkJobTiles(instance, chunkId, changed, resolved);
+    }
 
-        let endingAssetSize = curAtlasIndex * useTextureSize;
-
-        let rOrder = "0";
+    /**
+     * Raise or lower the terrain around a point for craters, digging and terraforming. Tile z values are
+     * changed in the stored chunk data across chunk borders and only the touched chunks are rebuilt.
+     * Tiles in chunks that aren't loaded are left alone.
+     * @param {object} options - {x, y, radius, delta, shape, rOrder}, radius is in tiles, delta in height levels,
+     * shape is "round" (smooth falloff, the default), "cone" (linear falloff) or "flat"
+     * @returns {Array} [{x, y, z, oldZ}] of every tile that changed
+     */
+    deformTerrain(options) {
+        const instance = this;
 
-        if(data.rOrder) {
-            rOrder = data.rOrder;
-        }
+        const cx = options.x || 0;
+        const cy = options.y || 0;
+        const radius = options.radius || 1;
+        const delta = options.delta || 0;
+        const shape = options.shape || "round";
+        const rOrder = options.rOrder == undefined ? "0" : options.rOrder;
+        const heights = getInstanceHeightRange(instance);
 
-        if(endingAssetSize != totalAtlasSize) {
-            instance.addChunk(data);
-            return;
-        } else {
+        const changedTiles = [];
+        const chunkTiles = {};
 
-            const mesh = createLegacyChunkMesh(positions, normals, uvs, indices, data.x, data.y, instance.chunkSize, data.castShadow, curAtlasMaterial);
-            const chunkId = data.x + ":" + data.y + ":" + rOrder;
+        for(let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+            for(let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+                const dist = distBetweenPoints(x, y, cx, cy);
 
-            // Apply per-material shadow bias for chunks to fix seam artifacts
-            applyChunkShadowBias(mesh, instance);
+                if(dist > radius) {
+                    continue;
+                }
 
-            instance.removeChunk(data.x, data.y, rOrder, 500);
+                const chunkX = Math.floor(x / instance.chunkSize);
+                const chunkY = Math.floor(y / instance.chunkSize);
+                const chunkId = chunkX + ":" + chunkY + ":" + rOrder;
+                const data = getLoadedChunkData(instance, chunkId);
 
-            instance.chunks[chunkId] = mesh;
-            mesh.renderOrder = 0;
+                if(!data) {
+                    continue;
+                }
 
-            
+                const tx = x - chunkX * instance.chunkSize;
+                const ty = y - chunkY * instance.chunkSize;
+                const obj = data.data[tx] ? data.data[tx][ty] : null;
 
-            if(hasWater) {
-                const wMesh = createLegacyChunkMesh(waterPositions, waterNormals, waterUvs, waterIndices, data.x, data.y, instance.chunkSize, false, curAtlasWaterMaterial || curAtlasMaterial);
+                if(!obj) {
+                    continue;
+                }
 
-                if(wMesh) {
-                    const chunkId = data.x + ":" + data.y + ":" + rOrder + "w";
-                    instance.chunks[chunkId] = wMesh;
-                    wMesh.renderOrder = 1;
-                    wMesh.receiveShadow = false;
+                const oldZ = obj.z || 0;
 
-                    //wMesh.position.y = wMesh.position.y + 6
+                let z = Math.round(oldZ + delta * getDeformFalloff(shape, dist / radius));
+                z = Math.max(heights.min, Math.min(heights.max - 1, z));
 
-                    instance.scene.add(wMesh);
-                    instance.hitTestObjects.push(wMesh);
+                if(z == oldZ) {
+                    continue;
+                }
 
-                    
+                if(!chunkTiles[chunkId]) {
+                    chunkTiles[chunkId] = {
+                        x: chunkX,
+                        y: chunkY,
+                        tiles: []
+                    };
                 }
+
+                chunkTiles[chunkId].tiles.push({ tx: tx, ty: ty, z: z });
+                changedTiles.push({ x: x, y: y, z: z, oldZ: oldZ });
             }
+        }
 
-            instance.scene.add(mesh);
-            instance.hitTestObjects.push(mesh);
+        const chunkIds = Object.keys(chunkTiles);
 
-            clearAllParticleSystems(instance);
+        if(!chunkIds.length) {
+            return changedTiles;
         }
 
-        
+        // the event waits for every touched chunk to be meshed again
+        instance.pendingDeforms.push({
+            chunks: chunkIds.slice(),
+            event: {
+                x: cx,
+                y: cy,
+                radius: radius,
+                delta: delta,
+                shape: shape,
+                tiles: changedTiles,
+                chunks: chunkIds,
+                objects: getObjectsOnTiles(instance, changedTiles)
+            }
+        });
+
+        for(const chunkId of chunkIds) {
+            const chunk = chunkTiles[chunkId];
+
+            instance.updateChunkTiles(chunk.x, chunk.y, chunk.tiles, rOrder);
+        }
+
+        return changedTiles;
     }
 
     removeChunk(x, y, rOrder, withDelay = 0) {
@@ -1851,8 +2006,17 @@ export class Scroll3dEngine {
 
         const chunkId = x + ":" + y + ":" + rOrder;
 
+        cancelChunkMeshJob(instance, chunkId);
+        dropChunkFromDeforms(instance, chunkId);
+
         delete chunkCanvases[chunkId + ":" + instance.id];
 
+        if(instance.chunkRecords[chunkId]) {
+            disposeChunkLods(instance, instance.chunkRecords[chunkId]);
+            releaseAtlasIndices(instance.chunkRecords[chunkId].atlasIndices);
+            delete instance.chunkRecords[chunkId];
+        }
+
         if(!instance.chunks[chunkId]) {
             return;
         }
@@ -1885,9 +2049,353 @@ export class Scroll3dEngine {
         delete instance.chunks[chunkId];
         delete instance.chunks[chunkId + "w"];
 
+        removeChunkDecals(instance, chunkId);
+        pruneTileOverlayMaterials(instance, chunkId);
+
         setCameraPosition(instance);
     }
 
+    /**
+     * Add a road between two tiles. The road runs straight or diagonally from one tile to the next,
+     * and every tile on it gets its road directions worked out, across chunk borders too. Chunk tops
+     * under the road are rebuilt, chunks loaded later pick it up when they're built.
+     * Roads are painted into tile tops in every chunk mode, canvas chunks paint them over the tile in their canvas.
+     * @param {object} options - {from: {x, y}, to: {x, y}, color, width, id, rOrder}, width is in noise pixels like tile roads
+     * @returns {string} the road id
+     */
+    addRoad(options) {
+        const instance = this;
+
+        const id = options.id || guid();
+
+        if(instance.roads[id]) {
+            instance.removeRoad(id);
+        }
+
+        const road = {
+            id: id,
+            color: options.color || DEF_ROAD_COLOR,
+            width: options.width || DEF_ROAD_WIDTH,
+            rOrder: options.rOrder == undefined ? "0" : String(options.rOrder),
+            links: []
+        };
+
+        const path = getRoadPath(options.from, options.to);
+
+        for(let i = 1; i < path.length; i++) {
+            const a = path[i - 1];
+            const b = path[i];
+
+            road.links.push({ x: a[0], y: a[1], dir: getRoadDir(b[0] - a[0], b[1] - a[1]) });
+            road.links.push({ x: b[0], y: b[1], dir: getRoadDir(a[0] - b[0], a[1] - b[1]) });
+        }
+
+        instance.roads[id] = road;
+
+        for(const link of road.links) {
+            const key = link.x + ":" + link.y + ":" + road.rOrder;
+
+            if(!instance.roadTiles[key]) {
+                instance.roadTiles[key] = [];
+            }
+
+            instance.roadTiles[key].push({ dir: link.dir, color: road.color, width: road.width, road: id });
+        }
+
+        refreshRoadTiles(instance, road);
+
+        return id;
+    }
+
+    /**
+     * Remove a road added with addRoad, the chunk tops it ran over are rebuilt without it.
+     * @param {string} id - the road id
+     */
+    removeRoad(id) {
+        const instance = this;
+        const road = instance.roads[id];
+
+        if(!road) {
+            return;
+        }
+
+        delete instance.roads[id];
+
+        for(const link of road.links) {
+            const key = link.x + ":" + link.y + ":" + road.rOrder;
+            const list = instance.roadTiles[key];
+
+            if(!list) {
+                continue;
+            }
+
+            instance.roadTiles[key] = list.filter(entry => entry.road != id);
+
+            if(!instance.roadTiles[key].length) {
+                delete instance.roadTiles[key];
+            }
+        }
+
+        refreshRoadTiles(instance, road);
+    }
+
+    /**
+     * Encode a loaded chunk's data into the compact binary chunk format.
+     * @param {number} x - chunk x
+     * @param {number} y - chunk y
+     * @param {string} rOrder - optional render order the chunk was added with
+     * @returns {ArrayBuffer} the encoded chunk, or null if there's no chunk there
+     */
+    exportChunk(x, y, rOrder) {
+        const instance = this;
+
+        if(rOrder == null || rOrder == undefined) {
+            rOrder = "0";
+        }
+
+        const data = getLoadedChunkData(instance, x + ":" + y + ":" + rOrder);
+
+        if(!data) {
+            return null;
+        }
+
+        return encodeChunkData(data);
+    }
+
+    /**
+     * Add a chunk from the binary format made by exportChunk.
+     * @param {ArrayBuffer|Uint8Array} buffer - the encoded chunk
+     * @returns {object} the decoded chunk data, as passed to addChunk
+     */
+    importChunk(buffer) {
+        const data = decodeChunkData(buffer);
+
+        this.addChunk(data);
+
+        return data;
+    }
+
+    /**
+     * Project a texture onto the chunks under it, for scorch marks, footprints, zone paint and the like.
+     * The decal follows slopes and steps, is projected again whenever a chunk under it is rebuilt,
+     * and fades out over its last second when it has a lifetime. Once there are more than the
+     * setMaxDecals count the oldest decal goes.
+     * @param {object} options - {x, y, size, rot, src, opacity, lifetime, z}, size is in tiles, lifetime in ms (0 keeps it),
+     * z limits the decal to surfaces about that height instead of every surface under it
+     * @returns {string} the decal id
+     */
+    addDecal(options) {
+        const instance = this;
+
+        const decal = {
+            id: options.id || guid(),
+            x: options.x || 0,
+            y: options.y || 0,
+            z: options.z,
+            size: options.size || 1,
+            rot: options.rot || 0,
+            src: options.src,
+            opacity: options.opacity == undefined ? 1 : options.opacity,
+            lifetime: options.lifetime || 0,
+            created: performance.now(),
+            material: null,
+            pieces: {}
+        };
+
+        if(instance.decals[decal.id]) {
+            instance.removeDecal(decal.id);
+        }
+
+        decal.material = getDecalMaterial(decal.src, decal.opacity);
+
+        instance.decals[decal.id] = decal;
+
+        for(const chunkId in instance.chunkRecords) {
+            projectDecalOnChunk(instance, decal, chunkId);
+        }
+
+        // oldest decals make room for new ones
+        const ids = Object.keys(instance.decals);
+
+        for(let i = 0; i < ids.length - instance.maxDecals; i++) {
+            instance.removeDecal(ids[i]);
+        }
+
+        instance.shouldRender = true;
+
+        return decal.id;
+    }
+
+    /**
+     * Remove a decal, its material goes back to the pool and its texture is freed once no decal uses it.
+     * @param {string} id - the decal id from addDecal
+     */
+    removeDecal(id) {
+        const instance = this;
+        const decal = instance.decals[id];
+
+        if(!decal) {
+            return;
+        }
+
+        for(const chunkId in decal.pieces) {
+            removeDecalPiece(instance, decal, chunkId);
+        }
+
+        decal.material.map = null;
+        decalMaterialPool.push(decal.material);
+
+        delete instance.decals[id];
+
+        releaseDecalTexture(decal.src);
+
+        instance.shouldRender = true;
+    }
+
+    /**
+     * Set how many decals can be around at once, the oldest go first when there are more.
+     * @param {number} count - the decal limit
+     */
+    setMaxDecals(count) {
+        const instance = this;
+
+        instance.maxDecals = count == undefined ? DEF_MAX_DECALS : count;
+
+        const ids = Object.keys(instance.decals);
+
+        for(let i = 0; i < ids.length - instance.maxDecals; i++) {
+            instance.removeDecal(ids[i]);
+        }
+    }
+
+    /**
+     * Tint a tile, for build zones, movement ranges, ownership colours and the like. The tint is
+     * sampled in the chunk material, so changing it doesn't rebuild any geometry. Overlays stay
+     * set while their chunk is unloaded and show again when it's added back.
+     * @param {number} tx - tile x
+     * @param {number} ty - tile y
+     * @param {string} color - the tint colour, null clears the tile
+     * @param {number} alpha - how much of the tile the tint covers, 0 to 1, 0 clears the tile
+     * @param {string} style - "solid", "pulse" or "stripes", defaults to solid
+     * @param {string} rOrder - optional render order of the chunk to tint
+     */
+    setTileOverlay(tx, ty, color, alpha, style, rOrder) {
+        this.setTileOverlays([{ tx: tx, ty: ty, color: color, alpha: alpha, style: style, rOrder: rOrder }]);
+    }
+
+    /**
+     * Set a batch of tile overlays, each chunk's overlay goes up once however many of its tiles change.
+     * @param {Array} tiles - [{tx, ty, color, alpha, style, rOrder}], see setTileOverlay
+     */
+    setTileOverlays(tiles) {
+        const instance = this;
+        const changed = {};
+
+        for(const tile of tiles) {
+            const chunkId = setTileOverlayTexel(instance, tile);
+
+            if(chunkId) {
+                changed[chunkId] = true;
+            }
+        }
+
+        for(const chunkId in changed) {
+            refreshTileOverlay(instance, chunkId);
+        }
+
+        instance.shouldRender = true;
+    }
+
+    /**
+     * Clear every tile overlay set with setTileOverlay or setTileOverlays.
+     */
+    clearTileOverlays() {
+        const instance = this;
+
+        for(const chunkId in instance.tileOverlays) {
+            disposeTileOverlay(instance, chunkId);
+        }
+
+        instance.shouldRender = true;
+    }
+
+    /**
+     * Cover an area in fog of war that vision sources clear as they move. Tiles start unseen,
+     * are visible while a source is in range and stay explored, fogged more lightly, after it
+     * leaves. Only the tiles around sources that moved are worked out again each frame.
+     * Calling this again starts over with everything unseen.
+     * @param {object} options - {x, y, width, height, z, color, exploredOpacity, softness, hideObjects}, x, y, width and height
+     * are in tiles, softness is how many tiles the edge of a source's sight fades over, hideObjects hides objects on tiles that
+     * aren't visible. Pass null to remove the fog.
+     */
+    setFogOfWar(options) {
+        const instance = this;
+
+        disposeFogOfWar(instance);
+
+        if(!options) {
+            return;
+        }
+
+        instance.fogOfWar = createFogOfWar(instance, options);
+
+        for(const id in instance.visionSources) {
+            instance.visionSources[id].key = null;
+        }
+
+        instance.shouldRender = true;
+    }
+
+    /**
+     * Let an object see through the fog of war. Calling it again for the same object changes its radius.
+     * @param {string} id - the object id
+     * @param {number} radius - how far the object sees, in tiles
+     */
+    addVisionSource(id, radius) {
+        const instance = this;
+        const source = instance.visionSources[id];
+
+        if(source) {
+            source.radius = radius;
+            return;
+        }
+
+        instance.visionSources[id] = {
+            radius: radius,
+            key: null,
+            bounds: null
+        };
+    }
+
+    /**
+     * Stop an object from seeing through the fog of war, tiles only it could see go back to explored.
+     * @param {string} id - the object id
+     */
+    removeVisionSource(id) {
+        const instance = this;
+        const source = instance.visionSources[id];
+
+        if(!source) {
+            return;
+        }
+
+        if(instance.fogOfWar && source.bounds) {
+            markFogDirty(instance.fogOfWar, source.bounds);
+        }
+
+        delete instance.visionSources[id];
+    }
+
+    /**
+     * Get the fog of war state of a tile. Tiles outside the fog, or with no fog set, are visible.
+     * @param {number} x - tile x
+     * @param {number} y - tile y
+     * @returns {string} "unseen", "explored" or "visible"
+     */
+    getFogState(x, y) {
+        return getFogTileState(this.fogOfWar, x, y);
+    }
+
     addOutlineTileGroupObject(options) {
         if(!options.tileOffset) {
             options.tileOffset = 0;
@@ -1993,9 +2501,22 @@ export class Scroll3dEngine {
             instance.removeChunk(chunkParts[0],chunkParts[1],chunkParts[2]);
         }
 
+        for(let decalId in instance.decals) {
+            instance.removeDecal(decalId);
+        }
+
+        instance.pendingDeforms = [];
+
         instance.objects = {};
         instance.chunks = {};
+        instance.chunkRecords = {};
         instance.hitTestObjects = [];
+
+        // streamed chunks come back from the cache on the next update
+        if(instance.chunkStreamer) {
+            instance.chunkStreamer.loaded = {};
+            instance.chunkStreamer.evicted = {};
+        }
         instance.particleSystems = {};
 
         if(instance.vppInstances) {
@@ -3206,6 +3727,23 @@ export class Scroll3dEngine {
         this.cameraMovedFunction = func;
     }
 
+    /**
+     * Called when a chunk is evicted to stay under the memory budget.
+     * @param {function} func - receives {x, y, rOrder, data}, data can be passed to addChunk to bring the chunk back
+     */
+    setChunkEvictedFunction(func) {
+        this.chunkEvictedFunction = func;
+    }
+
+    /**
+     * Called once every chunk touched by deformTerrain has its new geometry or was removed, so objects on
+     * the changed ground can be re-seated with getGroundPosForOb.
+     * @param {function} func - receives {x, y, radius, delta, shape, tiles: [{x, y, z, oldZ}], chunks, objects}, objects are the ids standing on changed tiles
+     */
+    setTerrainDeformedFunction(func) {
+        this.terrainDeformedFunction = func;
+    }
+
     setRenderLoopFunction(func) {
         this.renderLoopFunction = func;
     }
@@ -3494,6 +4032,13 @@ export class Scroll3dEngine {
         // Update atlas material if it exists
         if(curAtlasMaterial) {
             setChunkTextureAtlas(cavasTextureAtlas);
+
+            // the atlas material stays for good now, its glow is switched in place
+            for(const material of [curAtlasMaterial, curAtlasMaterial.userData.greedyMaterial]) {
+                if(material) {
+                    material.emissive.set(enabled ? 0x111111 : 0x000000);
+                }
+            }
         }
 
         if(bmLoader && enabled) {
@@ -3885,6 +4430,10 @@ export class Scroll3dEngine {
 
         delete scrollInstances[instance.id];
 
+        cancelAllChunkMeshJobs(instance);
+
+        instance.chunkStreamer = null;
+
         instance.clearAllObjects();
 
         clearAllParticleSystems(instance);
@@ -4266,8 +4815,8 @@ function onPadDown(id, btn) {
 
                     const hitPosition = actualLocationToVirtual(instance, x, y);
 
-                    if(hitPosition.z < 0) {
-                        hitPosition.z = 0;
+                    if(hitPosition.z < instance.minWorldHeight) {
+                        hitPosition.z = instance.minWorldHeight;
                     }
 
                     instance.clickFunction(
@@ -4286,8 +4835,8 @@ function onPadDown(id, btn) {
 
                     const hitPosition = actualLocationToVirtual(instance, x, y);
 
-                    if(hitPosition.z < 0) {
-                        hitPosition.z = 0;
+                    if(hitPosition.z < instance.minWorldHeight) {
+                        hitPosition.z = instance.minWorldHeight;
                     }
 
                     instance.rightClickFunction(
@@ -4368,31 +4917,29 @@ function onPadDisconnect(e) {
     }
 }
 
+// lays the atlas out again from scratch. Chunks built against the old atlas keep its material and
+// pages until they are built again, so they look the same in the meantime
 function resetAtlasTexture() {
-    let totalAtlasSize = curAtlasIndex * useTextureSize;
-    
-    let atlasCanvas = document.createElement("canvas");
-    let roughnessCanvas = document.createElement("canvas");
-    let metalnessCanvas = document.createElement("canvas");
-
-    atlasCanvas.style.imageRendering = "pixelated";
-    roughnessCanvas.style.imageRendering = "pixelated";
-    metalnessCanvas.style.imageRendering = "pixelated";
+    if(curAtlasMaterial) {
+        retiredAtlasMaterials.push({
+            material: curAtlasMaterial,
+            waterMaterial: curAtlasWaterMaterial,
+            time: performance.now()
+        });
+    }
 
-    let atlasContext = atlasCanvas.getContext("2d");
-    let roughnessContext = roughnessCanvas.getContext("2d");
-    let metalnessContext = metalnessCanvas.getContext("2d");
+    atlasUniforms = {
+        atlasPages: { value: null },
+        atlasSurface: { value: null }
+    };
 
-    atlasContext.imageSmoothingEnabled = false;
-    roughnessContext.imageSmoothingEnabled = false;
-    metalnessContext.imageSmoothingEnabled = false;
+    curAtlasTexture = null;
+    curAtlasSurfaceTexture = null;
+    atlasPageCount = 0;
 
-    atlasCanvas.width = totalAtlasSize;
-    atlasCanvas.height = useTextureSize;
-    roughnessCanvas.width = totalAtlasSize;
-    roughnessCanvas.height = useTextureSize;
-    metalnessCanvas.width = totalAtlasSize;
-    metalnessCanvas.height = useTextureSize;
+    if(curAtlasIndex) {
+        ensureAtlasPage(curAtlasIndex - 1);
+    }
 
     for(let prop in textureAtlas) {
         let texture = textureAtlas[prop];
@@ -4401,47 +4948,15 @@ function resetAtlasTexture() {
             continue;
         }
 
-        atlasContext.save();
-        atlasContext.globalAlpha = texture.opacity;
-
-        atlasContext.drawImage(texture.canvas,texture.idx * useTextureSize, 0);
+        // animated tiles are drawn again on the next tick
+        texture.animationKey = null;
 
-        const drawX = texture.idx * useTextureSize;
-        const roughnessShade = Math.round(texture.roughness * 255);
-        const metalnessShade = Math.round(texture.metalness * 255);
-
-        roughnessContext.fillStyle = "rgb(" + roughnessShade + ", " + roughnessShade + ", " + roughnessShade + ")";
-        roughnessContext.fillRect(drawX, 0, useTextureSize, useTextureSize);
-
-        metalnessContext.fillStyle = "rgb(" + metalnessShade + ", " + metalnessShade + ", " + metalnessShade + ")";
-        metalnessContext.fillRect(drawX, 0, useTextureSize, useTextureSize);
-
-        atlasContext.restore();
+        writeAtlasCell(texture);
     }
 
-    let data = atlasCanvas.toDataURL("image/png",1);
-    let roughnessData = roughnessCanvas.toDataURL("image/png",1);
-    let metalnessData = metalnessCanvas.toDataURL("image/png",1);
-
-    curAtlasTexture = TEXTURE_LOADER.load(data);
-    curAtlasTexture.magFilter = NearestFilter;
-    curAtlasTexture.minFilter = NearestFilter;
-    curAtlasTexture.colorSpace = USE_COLORSPACE;
-
-    curAtlasRoughnessTexture = TEXTURE_LOADER.load(roughnessData);
-    curAtlasRoughnessTexture.magFilter = NearestFilter;
-    curAtlasRoughnessTexture.minFilter = NearestFilter;
-
-    curAtlasMetalnessTexture = TEXTURE_LOADER.load(metalnessData);
-    curAtlasMetalnessTexture.magFilter = NearestFilter;
-    curAtlasMetalnessTexture.minFilter = NearestFilter;
-
     // just these options were working goodl for MC2, gotta figure
     // something otu
     let matOptions = {
-        map: curAtlasTexture,
-        roughnessMap: curAtlasRoughnessTexture,
-        metalnessMap: curAtlasMetalnessTexture,
         roughness: 1,
         metalness: 0,
         dithering: false,
@@ -4459,14 +4974,11 @@ function resetAtlasTexture() {
     // Apply toy mode to atlas material
     if(globalToyModeEnabled) {
         // Keep a subtle glow for toy-mode chunk atlases.
-        if(matOptions.map) {
-            matOptions.emissive = new Color(0x111111); // Subtle glow
-        }
-        curAtlasMaterial = new MeshStandardMaterial(matOptions);
-    } else {
-        curAtlasMaterial = new MeshStandardMaterial(matOptions);
+        matOptions.emissive = new Color(0x111111); // Subtle glow
     }
 
+    curAtlasMaterial = createAtlasMaterial(matOptions);
+
     const waterMatOptions = {
         ...matOptions,
         transparent: true,
@@ -4474,64 +4986,365 @@ function resetAtlasTexture() {
         alphaTest: 0
     };
 
-    curAtlasWaterMaterial = new MeshStandardMaterial(waterMatOptions);
+    curAtlasWaterMaterial = createAtlasMaterial(waterMatOptions);
+}
 
-    // might have to loop though all chunks and reapply the material, or all objects?!
+function getAtlasPageCells() {
+    return Math.max(1, Math.floor(atlasPageWidth / useTextureSize));
 }
 
-/**
- * Set the size of the instance based on the holder's dimensions.
- * @param {Scroll3dEngine} instance - The instance to set the size for.
- */
-function setInstanceSize(instance) {
+// hand out an atlas cell, reusing freed ones before growing into a new page. -1 when the atlas is full
+function allocateAtlasIndex() {
+    if(!curAtlasMaterial) {
+        resetAtlasTexture();
+    }
 
-    let useWidth = instance.holder.offsetWidth;
-    let useHeight = instance.holder.offsetHeight;
+    const capacity = getAtlasPageCells() * atlasMaxPages;
 
-    if(instance.squaredUp) {
-        if(useWidth > useHeight) {
-            useWidth = useHeight;
-        } else {
-            useHeight = useWidth;
-        }
+    if(!freeAtlasIndices.length && curAtlasIndex >= capacity) {
+        collectAtlasGarbage();
     }
 
-    if(instance.forceHeight != null && instance.forceWidth != null) {
-        useWidth = instance.forceWidth;
-        useHeight = instance.forceHeight;
+    if(freeAtlasIndices.length) {
+        return freeAtlasIndices.pop();
+    }
 
+    if(curAtlasIndex >= capacity) {
+        return -1;
     }
 
-    let renderWidth = useWidth;
-    let renderHeight = useHeight;
+    return curAtlasIndex++;
+}
 
-    renderWidth = Math.floor(renderWidth * instance.renderScale);
-    renderHeight = Math.floor(renderHeight * instance.renderScale);
+/**
+ * Free the atlas cells no loaded chunk uses anymore, new textures are drawn into them. Cells don't move,
+ * so nothing has to be meshed again.
+ * @returns {number} how many cells were freed
+ */
+function collectAtlasGarbage() {
+    // queued mesh jobs hold on to their textures without a chunk record yet
+    const queued = new Set();
 
-    // Adaptive pixel ratio for mobile performance
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    const pixelRatio = isMobile ? Math.min(window.devicePixelRatio, 2) : window.devicePixelRatio;
-    
-    renderWidth = Math.floor(renderWidth * pixelRatio);
-    renderHeight = Math.floor(renderHeight * pixelRatio);
+    for(const meshJob of Object.values(chunkMeshJobs)) {
+        for(const idx of getJobAtlasIndices(meshJob.job)) {
+            queued.add(idx);
+        }
+    }
 
-    instance.lastWidth = renderWidth;
-    instance.lastHeight = renderHeight;
+    const now = performance.now();
 
-    if(instance.canvas) {
-        instance.canvas.width = renderWidth;
-        instance.canvas.height = renderHeight;
-    }
+    let freed = 0;
 
-    instance.renderer.setPixelRatio(1);
-    instance.renderer.setSize(renderWidth, renderHeight);
+    for(const name in textureAtlas) {
+        const texture = textureAtlas[name];
 
-    instance.camera.aspect = renderWidth / renderHeight;
-    instance.camera.updateProjectionMatrix();
+        // textures still loading belong to chunks that will be added once they finish, imported ones no chunk
+        // has used yet wait longer for the chunks they were baked for, and meshes removed with a delay can still be on screen for a moment
+        const grace = texture.imported ? IMPORTED_TEXTURE_GRACE : RETIRED_MATERIAL_GRACE;
 
-    // ortho camera is updated in updateFOVCamera
+        if(texture.refs > 0 || texture.loading || queued.has(texture.idx) || now - texture.releasedAt < grace) {
+            continue;
+        }
 
-    instance.shouldRender = true;
+        delete textureAtlas[name];
+        atlasEntries[texture.idx] = null;
+        freeAtlasIndices.push(texture.idx);
+
+        freed++;
+    }
+
+    if(freed) {
+        atlasFullWarned = false;
+    }
+
+    return freed;
+}
+
+// atlas indices a mesh job's tiles point at
+function getJobAtlasIndices(job) {
+    const indices = new Set();
+
+    for(const col of job.tiles) {
+        for(const tile of col) {
+            if(!tile) {
+                continue;
+            }
+
+            for(const idx of [tile.top, tile.middle, tile.bottom, tile.water]) {
+                indices.add(idx);
+            }
+
+            for(const layer of tile.layers || []) {
+                indices.add(layer.top);
+                indices.add(layer.middle);
+                indices.add(layer.bottom);
+            }
+        }
+    }
+
+    indices.delete(null);
+    indices.delete(undefined);
+
+    return indices;
+}
+
+function retainAtlasIndices(indices) {
+    for(const idx of indices) {
+        const texture = atlasEntries[idx];
+
+        if(texture) {
+            texture.refs++;
+            texture.imported = false;
+        }
+    }
+
+    return indices;
+}
+
+function releaseAtlasIndices(indices) {
+    if(!indices) {
+        return;
+    }
+
+    const now = performance.now();
+
+    for(const idx of indices) {
+        const texture = atlasEntries[idx];
+
+        if(texture && texture.refs > 0) {
+            texture.refs--;
+
+            if(!texture.refs) {
+                texture.releasedAt = now;
+            }
+        }
+    }
+}
+
+// make sure the page holding an index exists, a texture array that grows is copied over and uploaded whole once
+function ensureAtlasPage(idx) {
+    const page = Math.floor(idx / getAtlasPageCells());
+
+    if(page < atlasPageCount) {
+        return;
+    }
+
+    const count = Math.max(page + 1, Math.min(atlasMaxPages, atlasPageCount * 2));
+
+    curAtlasTexture = createAtlasArrayTexture(curAtlasTexture, count, true);
+    curAtlasSurfaceTexture = createAtlasArrayTexture(curAtlasSurfaceTexture, count, false);
+
+    atlasPageCount = count;
+
+    atlasUniforms.atlasPages.value = curAtlasTexture;
+    atlasUniforms.atlasSurface.value = curAtlasSurfaceTexture;
+}
+
+function createAtlasArrayTexture(old, pages, isColor) {
+    const width = getAtlasPageCells() * useTextureSize;
+    const data = new Uint8Array(width * useTextureSize * pages * 4);
+
+    if(old) {
+        data.set(old.image.data);
+        old.dispose();
+    }
+
+    const texture = new DataArrayTexture(data, width, useTextureSize, pages);
+    texture.magFilter = NearestFilter;
+    texture.minFilter = NearestFilter;
+    texture.generateMipmaps = false;
+
+    if(isColor) {
+        texture.colorSpace = USE_COLORSPACE;
+    }
+
+    // single pages only go up once the whole array has
+    texture.userData.uploaded = false;
+    texture.onUpdate = function() {
+        texture.userData.uploaded = true;
+    };
+
+    texture.needsUpdate = true;
+
+    return texture;
+}
+
+/**
+ * Draw an atlas texture into its cell, with its roughness in the surface array's green channel and its
+ * metalness in blue, where the standard material reads them. Only the page the cell is on is uploaded again.
+ * @param {object} texture - the textureAtlas entry
+ * @param {HTMLCanvasElement|HTMLImageElement} image - what to draw, the entry's own canvas by default
+ * @param {object} state - an animation state to draw the image with, see drawAnimatedTile
+ */
+function writeAtlasCell(texture, image = texture.canvas, state = null) {
+    ensureAtlasPage(texture.idx);
+
+    const size = useTextureSize;
+    const cells = getAtlasPageCells();
+    const page = Math.floor(texture.idx / cells);
+    const col = texture.idx % cells;
+
+    if(!atlasCellCanvas || atlasCellCanvas.width != size) {
+        atlasCellCanvas = document.createElement("canvas");
+        atlasCellCanvas.width = size;
+        atlasCellCanvas.height = size;
+    }
+
+    const ctx = atlasCellCanvas.getContext("2d", { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, size, size);
+
+    ctx.save();
+    ctx.globalAlpha = texture.opacity;
+
+    if(state) {
+        drawAnimatedTile(ctx, image, state, 0, 0);
+    } else {
+        ctx.drawImage(image, 0, 0);
+    }
+
+    ctx.restore();
+
+    const pixels = ctx.getImageData(0, 0, size, size).data;
+    const rowBytes = cells * size * 4;
+    const diffuse = curAtlasTexture.image.data;
+    const surface = curAtlasSurfaceTexture.image.data;
+    const roughnessShade = Math.round(texture.roughness * 255);
+    const metalnessShade = Math.round(texture.metalness * 255);
+
+    // texture arrays can't be flipped on upload, rows go in bottom up so v runs the same way it does in image textures
+    for(let y = 0; y < size; y++) {
+        const start = page * rowBytes * size + (size - 1 - y) * rowBytes + col * size * 4;
+
+        diffuse.set(pixels.subarray(y * size * 4, (y + 1) * size * 4), start);
+
+        for(let x = 0; x < size; x++) {
+            const i = start + x * 4;
+
+            surface[i] = 255;
+            surface[i + 1] = roughnessShade;
+            surface[i + 2] = metalnessShade;
+            surface[i + 3] = 255;
+        }
+    }
+
+    for(const arrayTexture of [curAtlasTexture, curAtlasSurfaceTexture]) {
+        if(arrayTexture.userData.uploaded) {
+            arrayTexture.addLayerUpdate(page);
+        }
+
+        arrayTexture.needsUpdate = true;
+    }
+}
+
+function createAtlasMaterial(options) {
+    const uniforms = atlasUniforms;
+    const material = new MeshStandardMaterial(options);
+
+    material.atlasUniforms = uniforms;
+
+    material.onBeforeCompile = function(shader) {
+        patchAtlasShader(shader, uniforms, false);
+    };
+
+    material.customProgramCacheKey = function() {
+        return "atlas";
+    };
+
+    return material;
+}
+
+// the atlas pages are sampled as a texture array, the integer part of uv.x picks the page (see getAtlasCell in the mesher)
+function patchAtlasShader(shader, uniforms, greedy) {
+    shader.uniforms.atlasPages = uniforms.atlasPages;
+    shader.uniforms.atlasSurface = uniforms.atlasSurface;
+
+    let vertexHead = "#include <common>\nvarying vec2 vAtlasUv;";
+    let vertexUv = "#include <uv_vertex>\nvAtlasUv = uv;";
+    let fragmentHead = "#include <common>\nuniform sampler2DArray atlasPages;\nuniform sampler2DArray atlasSurface;\nvarying vec2 vAtlasUv;";
+    let cellUv = "vec2 atlasCellUv = vAtlasUv;";
+
+    // greedy quads carry tile counts in their uvs, the cell comes from a per vertex attribute
+    if(greedy) {
+        vertexHead += "\nattribute vec2 atlasTile;\nvarying vec2 vAtlasTile;";
+        vertexUv += "\nvAtlasTile = atlasTile;";
+        fragmentHead += "\nvarying vec2 vAtlasTile;";
+
+        cellUv = [
+            "vec2 greedyCellUv = mix(vec2(" + UV_TEXT_MIN.toFixed(2) + "), vec2(" + UV_TEXT_MAX.toFixed(2) + "), fract(vAtlasUv));",
+            "vec2 atlasCellUv = vec2(vAtlasTile.x + greedyCellUv.x * vAtlasTile.y, greedyCellUv.y);"
+        ].join("\n");
+    }
+
+    shader.vertexShader = shader.vertexShader
+        .replace("#include <common>", vertexHead)
+        .replace("#include <uv_vertex>", vertexUv);
+
+    shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", fragmentHead)
+        .replace("#include <map_fragment>", "diffuseColor *= texture(atlasPages, atlasUvw);")
+        .replace("#include <roughnessmap_fragment>", "float roughnessFactor = roughness * texture(atlasSurface, atlasUvw).g;")
+        .replace("#include <metalnessmap_fragment>", "float metalnessFactor = metalness * texture(atlasSurface, atlasUvw).b;")
+        .replace("void main() {", [
+            "void main() {",
+            cellUv,
+            "vec3 atlasUvw = vec3(fract(atlasCellUv.x), atlasCellUv.y, floor(atlasCellUv.x));"
+        ].join("\n"));
+}
+
+/**
+ * Set the size of the instance based on the holder's dimensions.
+ * @param {Scroll3dEngine} instance - The instance to set the size for.
+ */
+function setInstanceSize(instance) {
+
+    let useWidth = instance.holder.offsetWidth;
+    let useHeight = instance.holder.offsetHeight;
+
+    if(instance.squaredUp) {
+        if(useWidth > useHeight) {
+            useWidth = useHeight;
+        } else {
+            useHeight = useWidth;
+        }
+    }
+
+    if(instance.forceHeight != null && instance.forceWidth != null) {
+        useWidth = instance.forceWidth;
+        useHeight = instance.forceHeight;
+
+    }
+
+    let renderWidth = useWidth;
+    let renderHeight = useHeight;
+
+    renderWidth = Math.floor(renderWidth * instance.renderScale);
+    renderHeight = Math.floor(renderHeight * instance.renderScale);
+
+    // Adaptive pixel ratio for mobile performance
+    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    const pixelRatio = isMobile ? Math.min(window.devicePixelRatio, 2) : window.devicePixelRatio;
+    
+    renderWidth = Math.floor(renderWidth * pixelRatio);
+    renderHeight = Math.floor(renderHeight * pixelRatio);
+
+    instance.lastWidth = renderWidth;
+    instance.lastHeight = renderHeight;
+
+    if(instance.canvas) {
+        instance.canvas.width = renderWidth;
+        instance.canvas.height = renderHeight;
+    }
+
+    instance.renderer.setPixelRatio(1);
+    instance.renderer.setSize(renderWidth, renderHeight);
+
+    instance.camera.aspect = renderWidth / renderHeight;
+    instance.camera.updateProjectionMatrix();
+
+    // ortho camera is updated in updateFOVCamera
+
+    instance.shouldRender = true;
 
     if(instance.postprocessor) {
         if(instance.postprocessor.composer) {
@@ -5893,6 +6706,9 @@ function getTextureIndex(options,chunkData,instance) {
         options.noiseSize = 16;
     }
 
+    // animated tops get a cell of their own, sides using the same texture stay still
+    const animated = !!(options.animated && getTileAnimation(options.texture));
+
 
     let noiseHalfer = 5;
 
@@ -6039,23 +6855,6 @@ function getTextureIndex(options,chunkData,instance) {
         checkerSize = 4;
     }
 
-    if(options.checkered || options.brick) {
-        let brickAdj = randomIntFromInterval(0,brickNoiseVariance);
-        brickAdj -= brickNoiseHalfer;
-
-        brickAlt = LightenDarkenColor(brickAlt,brickAdj);
-
-        brickAdj = randomIntFromInterval(0,brickNoiseVariance);
-        brickAdj -= brickNoiseHalfer;
-
-        brickAltOdd = LightenDarkenColor(brickAltOdd,brickAdj);
-
-        brickAdj = randomIntFromInterval(0,brickNoiseVariance);
-        brickAdj -= brickNoiseHalfer;
-
-        brickAltEven = LightenDarkenColor(brickAltEven,brickAdj);
-    }
-
     if(options.pppTextureData) {
         const datHash = hash(options.pppTextureData);
         refName += ".pppdat" + datHash;
@@ -6065,22 +6864,73 @@ function getTextureIndex(options,chunkData,instance) {
         }
     }
 
+    if(animated) {
+        refName += ".anm";
+    }
+
+    // variants with randomness in them are kept apart per chunk or instance seed
+    const seed = getTextureSeed(chunkData, instance);
+
+    if(seed != null && (options.noise || options.speckles || options.topBlendColor || options.checkered || options.brick)) {
+        refName += ".sd" + seed;
+    }
+
     if(textureAtlas[refName]) {
         return textureAtlas[refName].idx;
     }
 
+    const atlasIdx = allocateAtlasIndex();
+
+    // nothing can be freed right now, the chunk waits like it does for a loading texture
+    if(atlasIdx == -1) {
+        if(!atlasFullWarned) {
+            console.warn("texture atlas is full, raise its capacity with setTextureAtlasCapacity");
+            atlasFullWarned = true;
+        }
+
+        return -1;
+    }
+
+    // refs count the chunks using the texture, see retainAtlasIndices
     let textObj = {
-        idx: curAtlasIndex,
+        idx: atlasIdx,
+        name: options.texture,
         canvas: null,
         loading: true,
         opacity: options.opacity,
         roughness: options.roughness,
-        metalness: options.metalness
+        metalness: options.metalness,
+        animated: animated,
+        refs: 0,
+        releasedAt: performance.now()
     };
 
-    curAtlasIndex++;
-
     textureAtlas[refName] = textObj;
+    atlasEntries[atlasIdx] = textObj;
+
+    // the same variant comes out the same every time, see setTextureAtlasSeed and getTextureSeed
+    const random = createSeededRandom(getStringSeed(textureAtlasSeed + ":" + refName));
+
+    const randomInt = function(min, max) {
+        return Math.floor(random() * (max - min + 1)) + min;
+    };
+
+    if(options.checkered || options.brick) {
+        let brickAdj = randomInt(0,brickNoiseVariance);
+        brickAdj -= brickNoiseHalfer;
+
+        brickAlt = LightenDarkenColor(brickAlt,brickAdj);
+
+        brickAdj = randomInt(0,brickNoiseVariance);
+        brickAdj -= brickNoiseHalfer;
+
+        brickAltOdd = LightenDarkenColor(brickAltOdd,brickAdj);
+
+        brickAdj = randomInt(0,brickNoiseVariance);
+        brickAdj -= brickNoiseHalfer;
+
+        brickAltEven = LightenDarkenColor(brickAltEven,brickAdj);
+    }
 
     textObj.canvas = document.createElement("canvas");
 
@@ -6116,7 +6966,7 @@ function getTextureIndex(options,chunkData,instance) {
 
             textObj.loading = false;
 
-            resetAtlasTexture();
+            writeAtlasCell(textObj);
         } else {
 
             renderPPP({
@@ -6129,7 +6979,7 @@ function getTextureIndex(options,chunkData,instance) {
                         drawTextureGridline(buildContext);
                     }
 
-                    resetAtlasTexture();
+                    writeAtlasCell(textObj);
 
                     if(chunkData && instance && instance.removeChunk) {
                         let rOrder = "0";
@@ -6147,15 +6997,14 @@ function getTextureIndex(options,chunkData,instance) {
             });
         }
 
-        resetAtlasTexture();
-
         return textureAtlas[refName].idx;
     }
 
     // color loading 
     if(options.texture.indexOf("#") == 0 || options.texture == "transparent") {
 
-        if(!options.topBlendColor && !options.noise && !options.speckles && !options.checkered && !options.brick) {
+        // plain colors fill the cell in one go, roads are painted by the per pixel pass
+        if(!options.topBlendColor && !options.noise && !options.speckles && !options.checkered && !options.brick && !options.roads) {
             buildContext.fillStyle = options.texture;
             buildContext.fillRect(0,0, useTextureSize, useTextureSize);
             
@@ -6163,15 +7012,13 @@ function getTextureIndex(options,chunkData,instance) {
             let noisePartSizeWidth = useTextureSize / options.noiseSize;
             let noisePartSizeHeight = useTextureSize / options.noiseSize;
 
-            let halfNoiseSize =  Math.round(options.noiseSize / 2);
-
             let startingX = 0;
             let xAdder = 1;
 
 
             for(let x = startingX; x < options.noiseSize; x += xAdder) {
 
-                let topPos = randomIntFromInterval(1,Math.floor(options.noiseSize * 0.4));
+                let topPos = randomInt(1,Math.floor(options.noiseSize * 0.4));
 
                 let startingY = 0;
                 let yAdder = 1;
@@ -6284,7 +7131,7 @@ function getTextureIndex(options,chunkData,instance) {
                         for(let i = 0; i < options.speckles.length; i++) {
                             let speckle = options.speckles[i];
 
-                            let speckleChance = randomIntFromInterval(0,100);
+                            let speckleChance = randomInt(0,100);
 
                             if(speckleChance <= speckle.chance) {
                                 fillColor = speckle.color;
@@ -6294,81 +7141,14 @@ function getTextureIndex(options,chunkData,instance) {
 
                     if(options.roads) {
                         for(let i = 0; i < options.roads.length; i++) {
-                            let road = options.roads[i];
-
-                            let halfRoadSize = Math.round(road.width / 2);
-
-                            if(road.dir == "e") {
-                                if(y > (halfNoiseSize - halfRoadSize) && y < (halfNoiseSize + halfRoadSize)) {
-                                    if(x <= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
-                            if(road.dir == "w") {
-                                if(y > (halfNoiseSize - halfRoadSize) && y < (halfNoiseSize + halfRoadSize)) {
-                                    if(x >= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
+                            if(isRoadPixel(options.roads[i], x, y, options.noiseSize)) {
+                                fillColor = options.roads[i].color;
                             }
-
-                            if(road.dir == "s") {
-                                if(x > (halfNoiseSize - halfRoadSize) && x < (halfNoiseSize + halfRoadSize)) {
-                                    if(y <= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
-                            if(road.dir == "n") {
-                                if(x > (halfNoiseSize - halfRoadSize) && x < (halfNoiseSize + halfRoadSize)) {
-                                    if(y >= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
-                            if(road.dir == "nw") {
-                                if(x > (y - halfRoadSize) && x <= (y + halfRoadSize)) {
-                                    if(y >= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
-                            if(road.dir == "se") {
-                                if(x > (y - halfRoadSize) && x <= (y + halfRoadSize)) {
-                                    if(y <= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
-
-
-                            if(road.dir == "ne") {
-                                if(x > options.noiseSize - (y + halfRoadSize) && x <= options.noiseSize - (y - halfRoadSize)) {
-                                    if(y >= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
-                            if(road.dir == "sw") {
-                                if(x > options.noiseSize - (y + halfRoadSize) && x <= options.noiseSize - (y - halfRoadSize)) {
-                                    if(y <= halfNoiseSize) {
-                                        fillColor = road.color;
-                                    }
-                                }
-                            }
-
                         }
                     }
 
                     if(options.noise && fillColor != "transparent") {
-                        let adjAmount = randomIntFromInterval(0,noiseVariance);
+                        let adjAmount = randomInt(0,noiseVariance);
                         adjAmount -= noiseHalfer;
 
                         fillColor = LightenDarkenColor(fillColor,adjAmount);
@@ -6386,7 +7166,7 @@ function getTextureIndex(options,chunkData,instance) {
         }
 
         textObj.loading = false;
-        resetAtlasTexture();
+        writeAtlasCell(textObj);
 
         return textureAtlas[refName].idx;
     }
@@ -6401,78 +7181,183 @@ function getTextureIndex(options,chunkData,instance) {
         }
 
         textObj.loading = false;
-        resetAtlasTexture();
+        writeAtlasCell(textObj);
     };
     img.src = options.texture;
 
-    resetAtlasTexture();
-
     return -1;
 }
 
-function addChunkObPart(
-    instance, 
-    obj, 
-    data, 
-    x, 
-    z, 
-    defTop, 
-    defBot, 
-    defMid, 
-    defTexture, 
-    defMidBleed, 
-    positions, 
-    normals, 
-    uvs, 
-    indices, 
-    totalAtlasSize, 
-    waterColor, 
-    hasWater,
-    waterPositions,
-    waterNormals,
-    waterUvs,
-    waterIndices
-) {
-    let floorZ = 0;
-    let useTop = defTop;
-    let useBottom = defBot;
-    let useMid = defMid;
-    let waterNeighbor = false;
-    let waterTop = null;
-
-    if(!obj.isWater) {
-        obj.isWater = false;
+/**
+ * Get the seed procedural textures of a chunk are generated with.
+ * @param {object} chunkData - The chunk data, its seed wins.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @returns {number|string} The seed, or null to use the shared atlas seed alone.
+ */
+function getTextureSeed(chunkData, instance) {
+    if(chunkData && chunkData.seed != undefined) {
+        return chunkData.seed;
     }
 
-    if(obj.z) {
-        floorZ = obj.z;
+    if(instance && instance.textureSeed != undefined) {
+        return instance.textureSeed;
     }
 
-    if(obj.middle || obj.middleRoughness != undefined || obj.middleMetalness != undefined) {
+    return null;
+}
 
-        useMid = getTextureIndex({
-            texture: obj.middle || defTexture.middle,
-            noise: defTexture.noise,
-            noiseSize: instance.vppSize,
-            topBlendColor: defMidBleed,
-            roughness: obj.middleRoughness != undefined ? obj.middleRoughness : defTexture.middleRoughness,
-            metalness: obj.middleMetalness != undefined ? obj.middleMetalness : defTexture.middleMetalness
-        }, data, instance);
+/**
+ * Resolve every tile of a chunk to atlas indices, the mesher only deals in those.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} data - The chunk data.
+ * @returns {object} The job for meshLegacyChunk, or null while a texture is still loading.
+ */
+function createChunkMeshJob(instance, data) {
+    const defs = getChunkDefaultTextures(instance, data);
 
-        if(useMid == -1) {
-            setTimeout(function() {
-                instance.addChunk(data);
-            }, 200);
-        
-            return null;
-        }
-                
+    if(!defs) {
+        return null;
     }
 
-    if(obj.bottom || obj.bottomRoughness != undefined || obj.bottomMetalness != undefined) {
+    const tiles = [];
 
-        useBottom = getTextureIndex({
-            texture: obj.bottom || defTexture.middle,
+    for(let x = 0; x < data.data.length; x++) {
+        tiles.push([]);
+
+        for(let z = 0; z < data.data.length; z++) {
+            const obj = data.data[x][z];
+
+            if(!obj) {
+                tiles[x].push(null);
+                continue;
+            }
+
+            const tile = resolveChunkTile(instance, obj, data, defs, x, z);
+
+            if(!tile) {
+                return null;
+            }
+
+            tiles[x].push(tile);
+        }
+    }
+
+    return {
+        tiles: tiles,
+        atlasPageCells: getAtlasPageCells(),
+        noSides: data.noSides,
+        roundedCorners: data.roundedCorners,
+        greedy: instance.greedyMeshing,
+        minHeight: instance.minWorldHeight,
+        maxHeight: instance.maxWorldHeight,
+        heightfield: instance.chunkMode == "heightfield" ? { cliffHeight: instance.heightfieldCliffHeight } : null,
+        edges: getChunkEdges(instance, data)
+    };
+}
+
+function getInstanceHeightRange(instance) {
+    return getChunkHeightRange({
+        minHeight: instance.minWorldHeight,
+        maxHeight: instance.maxWorldHeight
+    });
+}
+
+/**
+ * Resolve the atlas indices of the default top, middle and bottom textures of a chunk.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} data - The chunk data.
+ * @returns {object} {defTop, defMid, defBot, defTexture, defMidBleed}, or null while a texture is still loading.
+ */
+function getChunkDefaultTextures(instance, data) {
+    const defTexture = data.defTexture;
+
+    let defMidBleed = null;
+
+    if(defTexture.topBleeds) {
+        defMidBleed = defTexture.top;
+    }
+
+    const defTop = getTextureIndex({
+        texture: defTexture.top,
+        noise: defTexture.noise,
+        noiseSize: instance.vppSize,
+        topBlendColor: null,
+        roughness: defTexture.topRoughness,
+        metalness: defTexture.topMetalness,
+        animated: true
+    }, data, instance);
+
+    const defMid = getTextureIndex({
+        texture: defTexture.middle,
+        noise: defTexture.noise,
+        noiseSize: instance.vppSize,
+        topBlendColor: defMidBleed,
+        roughness: defTexture.middleRoughness,
+        metalness: defTexture.middleMetalness
+    }, data, instance);
+
+    const defBot = getTextureIndex({
+        texture: defTexture.middle,
+        noise: defTexture.noise,
+        noiseSize: instance.vppSize,
+        topBlendColor: null,
+        roughness: defTexture.bottomRoughness,
+        metalness: defTexture.bottomMetalness
+    }, data, instance);
+
+    if(defTop == -1 || defMid == -1 || defBot == -1) {
+        return null;
+    }
+
+    return {
+        defTop: defTop,
+        defMid: defMid,
+        defBot: defBot,
+        defTexture: defTexture,
+        defMidBleed: defMidBleed
+    };
+}
+
+/**
+ * Resolve the atlas indices of a chunk tile.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} obj - The tile from the chunk's data grid.
+ * @param {object} data - The chunk data.
+ * @param {object} defs - The chunk's defaults from getChunkDefaultTextures.
+ * @param {number} tx - The tile's x in the chunk.
+ * @param {number} ty - The tile's y in the chunk.
+ * @returns {object} The tile for the mesher, or null while a texture is still loading.
+ */
+function resolveChunkTile(instance, obj, data, defs, tx, ty) {
+    const defTexture = defs.defTexture;
+    const defMidBleed = defs.defMidBleed;
+
+    let useTop = defs.defTop;
+    let useBottom = defs.defBot;
+    let useMid = defs.defMid;
+    let waterTop = null;
+
+    if(obj.middle || obj.middleRoughness != undefined || obj.middleMetalness != undefined) {
+
+        useMid = getTextureIndex({
+            texture: obj.middle || defTexture.middle,
+            noise: defTexture.noise,
+            noiseSize: instance.vppSize,
+            topBlendColor: defMidBleed,
+            roughness: obj.middleRoughness != undefined ? obj.middleRoughness : defTexture.middleRoughness,
+            metalness: obj.middleMetalness != undefined ? obj.middleMetalness : defTexture.middleMetalness
+        }, data, instance);
+
+        if(useMid == -1) {
+            return null;
+        }
+                
+    }
+
+    if(obj.bottom || obj.bottomRoughness != undefined || obj.bottomMetalness != undefined) {
+
+        useBottom = getTextureIndex({
+            texture: obj.bottom || defTexture.middle,
             noise: defTexture.noise,
             noiseSize: instance.vppSize,
             topBlendColor: null,
@@ -6481,15 +7366,14 @@ function addChunkObPart(
         },data,instance);
 
         if(useBottom == -1) {
-            setTimeout(function() {
-                instance.addChunk(data);
-            }, 200);
-        
             return null;
         }
     }
 
-    if(obj.top || obj.topRoughness != undefined || obj.topMetalness != undefined) {
+    const graphRoads = getGraphRoads(instance, data, tx, ty);
+
+    // tiles on the chunk's default top need a variant of it with their roads painted in
+    if(obj.top || obj.topRoughness != undefined || obj.topMetalness != undefined || (graphRoads && !obj.isWater)) {
 
         let opacity = 1;
         let topNoise = defTexture.noise;
@@ -6497,8 +7381,6 @@ function addChunkObPart(
 
         if(obj.isWater) {
 
-            floorZ = 0;
-
             waterTop = getTextureIndex({
                 texture: obj.top,
                 noise: true,
@@ -6506,14 +7388,11 @@ function addChunkObPart(
                 topBlendColor: null,
                 opacity: 0.7,
                 roughness: 0.5,
-                metalness: 0.0
+                metalness: 0.0,
+                animated: true
             },data,instance);
 
-            if(!waterTop) {
-                setTimeout(function() {
-                    instance.addChunk(data);
-                }, 200);
-            
+            if(waterTop == -1) {
                 return null;
             }
 
@@ -6553,6 +7432,10 @@ function addChunkObPart(
             roads = obj.roads;
         }
 
+        if(graphRoads) {
+            roads = roads ? roads.concat(graphRoads) : graphRoads;
+        }
+
         let useNoise = topNoise;
 
         if(obj.noise != undefined) {
@@ -6619,251 +7502,280 @@ function addChunkObPart(
             checkered: checkered,
             topAlt: topAlt,
             pppTextureDataColor: pppTextureDataColor,
-            pppTextureData: pppTextureData
+            pppTextureData: pppTextureData,
+            animated: !obj.isWater
         },data,instance);
 
         if(useTop == -1) {
-            setTimeout(function() {
-                instance.addChunk(data);
-            }, 200);
-        
             return null;
         }
     }
 
-    if(waterTop && obj.isWater) {
-        hasWater = true;
-
-        for (const {dir, corners, uvRow, altcorners, slopes, smdepress} of TEXTURE_FACES) {
-            //const ux = x + dir[0];
-            //const uy = obj.z + dir[1];
-            //const uz = z + dir[2];
-
-            if(uvRow != 2) {
-                continue;
-            }
-
-            let ndx = waterPositions.length / 3;
-
-            for (const {pos, uv} of altcorners) {
-                waterPositions.push(pos[0] + x, pos[1] + obj.z, pos[2] + z);
-                waterNormals.push(...dir);
+    let layers = null;
 
-                
-                
-
-                let tx = waterTop;
-                           
-                
-                /*
-                if(uvRow == 2) {
-                    tx = useTop;
-                }
-
-                if(uvRow == 1) {
-                    tx = useBottom;
-                }
-                    */
-                    
+    if(obj.layers && obj.layers.length) {
+        layers = resolveChunkTileLayers(instance, obj, data, defs, useTop, useMid, useBottom);
 
-                let textureRow = 0;
+        if(!layers) {
+            return null;
+        }
+    }
 
-                let utx = useTextureSize * TEXTURE_SIZE_MULTIPLIER;
+    return {
+        z: obj.z,
+        isWater: !!obj.isWater,
+        isDepressed: obj.isDepressed,
+        slope: obj.slope,
+        top: useTop,
+        middle: useMid,
+        bottom: useBottom,
+        water: waterTop,
+        layers: layers
+    };
+}
 
-                let uvx = (tx +   uv[0]) * utx / totalAtlasSize;
+/**
+ * Resolve the atlas indices of a tile's layers. A layer without its own texture uses the tile's.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} obj - The tile's chunk data, with layers of {from, to, top, middle, bottom}.
+ * @param {object} data - The chunk data.
+ * @param {object} defs - Default textures from getChunkDefaultTextures.
+ * @param {number} useTop - The tile's top atlas index.
+ * @param {number} useMid - The tile's middle atlas index.
+ * @param {number} useBottom - The tile's bottom atlas index.
+ * @returns {Array} the resolved layers, or null while a texture is still loading.
+ */
+function resolveChunkTileLayers(instance, obj, data, defs, useTop, useMid, useBottom) {
+    const defTexture = defs.defTexture;
+    const layers = [];
+
+    for(const layer of obj.layers) {
+        const resolved = {
+            from: layer.from || 0,
+            to: layer.to != undefined ? layer.to : (layer.from || 0),
+            isWater: false,
+            top: useTop,
+            middle: useMid,
+            bottom: useBottom
+        };
 
-                let uvy = 1 - (textureRow + 1 - uv[1]) * utx / utx;
+        if(layer.top) {
+            resolved.top = getTextureIndex({
+                texture: layer.top,
+                noise: defTexture.noise,
+                noiseSize: instance.vppSize,
+                topBlendColor: null,
+                roughness: layer.topRoughness != undefined ? layer.topRoughness : defTexture.topRoughness,
+                metalness: layer.topMetalness != undefined ? layer.topMetalness : defTexture.topMetalness,
+                animated: true
+            }, data, instance);
+        }
 
-                waterUvs.push(uvx,uvy);
-            }
+        if(layer.middle) {
+            resolved.middle = getTextureIndex({
+                texture: layer.middle,
+                noise: defTexture.noise,
+                noiseSize: instance.vppSize,
+                topBlendColor: defs.defMidBleed,
+                roughness: layer.middleRoughness != undefined ? layer.middleRoughness : defTexture.middleRoughness,
+                metalness: layer.middleMetalness != undefined ? layer.middleMetalness : defTexture.middleMetalness
+            }, data, instance);
+        }
 
-            waterIndices.push(
-                ndx, ndx + 1, ndx + 2,
-                ndx + 2, ndx + 1, ndx + 3
-            );
+        if(layer.bottom) {
+            resolved.bottom = getTextureIndex({
+                texture: layer.bottom,
+                noise: defTexture.noise,
+                noiseSize: instance.vppSize,
+                topBlendColor: null,
+                roughness: layer.bottomRoughness != undefined ? layer.bottomRoughness : defTexture.bottomRoughness,
+                metalness: layer.bottomMetalness != undefined ? layer.bottomMetalness : defTexture.bottomMetalness
+            }, data, instance);
         }
-    }
 
-    for(let y = 0; y < WORLD_HEIGHT; y++) {
-        // there is ground here
-        if(y <= floorZ) {
-            for (const {dir, corners, uvRow, altcorners, slopes, smdepress} of TEXTURE_FACES) {
+        if(resolved.top == -1 || resolved.middle == -1 || resolved.bottom == -1) {
+            return null;
+        }
 
-                const ux = x + dir[0];
-                const uy = y + dir[1];
-                const uz = z + dir[2];
+        layers.push(resolved);
+    }
 
-                
-                const neighbor = getChunkTileNeighbor(
-                    data.data,
-                    ux,
-                    uy,
-                    uz,
-                    obj.isDepressed
-                );
-                
-                let shouldSkip = false;
+    return layers;
+}
 
-                if(neighbor && neighbor != -1) {
-                    if(!neighbor.isWater) {
-                        neighbor.isWater = false;
-                    } else {
-                        waterNeighbor = true;
-                    }
+/**
+ * Work out a canvas chunk tile's masks from the top textures around it. A side blends in its neighbour
+ * when the neighbour's texture has a higher atlas layer, a corner only when neither of its sides does.
+ * @param {object} instance - the engine instance
+ * @param {object} data - the chunk data
+ * @param {number} x - tile x in the chunk
+ * @param {number} z - tile z in the chunk
+ * @param {string} top - the tile's top texture
+ * @returns {object} the masks, or null when nothing blends over the tile
+ */
+function getAutoTileMasks(instance, data, x, z, top) {
+    const layer = getTextureLayer(top);
 
-                    if(!obj.isWater) {
-                        obj.isWater = false;
-                    }
+    let masks = null;
 
-                    shouldSkip = true;
+    for(const entry of TILE_MASKS) {
+        const neighbor = getCanvasNeighborTop(instance, data, x + entry.dx, z + entry.dz);
 
-                         
-                    
-                    if(obj.isWater != neighbor.isWater) {
-                        shouldSkip = false;
-                    }
+        if(!neighbor || neighbor == top || getTextureLayer(neighbor) <= layer) {
+            continue;
+        }
 
-                    if(shouldSkip) {
-                        if((obj.slope || neighbor.slope) && (obj.slope != neighbor.slope)) {
-                            //shouldSkip = false;
-                        }
-                    }
-                } else {
-                    if(data.noSides && uvRow != 2 && neighbor != -1) {
-                        shouldSkip = true;
-                    }
-                }
+        if(entry.sides && masks && (masks[entry.sides[0]] || masks[entry.sides[1]])) {
+            continue;
+        }
 
-                if(waterNeighbor) {
-                    shouldSkip = false;
-                }
-                    
-                if(obj.isWater) {
-                    hasWater = true;
+        if(!masks) {
+            masks = {};
+        }
 
-                    if(neighbor && neighbor.isWater) {
-                        shouldSkip = true;
-                    }
-                }
+        masks[entry.name] = neighbor;
+    }
 
-                if(!shouldSkip) {
-                    let ndx = positions.length / 3;
+    return masks;
+}
 
-                    let usecor = corners;
+function getTextureLayer(name) {
+    const txDef = cavasTextureAtlas[name];
 
+    if(!txDef || !txDef.layer) {
+        return 0;
+    }
 
-                    if(obj.isWater && y == floorZ) {
-                        usecor = altcorners;
-                    }
+    return txDef.layer;
+}
 
-                    if(obj.isDepressed) {
-                        usecor = smdepress;
-                    }
+// top texture of a tile, reaching into the neighbouring chunk when x or z is outside this one
+function getCanvasNeighborTop(instance, data, x, z) {
+    let chunkData = data;
 
-                    if(obj.slope && slopes[obj.slope]) {
-                        usecor = slopes[obj.slope];
-                    }
+    const size = data.data.length;
+    const cx = Math.floor(x / size);
+    const cz = Math.floor(z / size);
 
-                    let doWater = obj.isWater;
-                    //doWater = false;
+    if(cx != 0 || cz != 0) {
+        const record = instance.chunkRecords[(data.x + cx) + ":" + (data.y + cz) + ":" + (data.rOrder || "0")];
 
-                    if(doWater) {
+        if(!record || !record.data || !record.data.data) {
+            return null;
+        }
 
-                        for (const {pos, uv} of corners) {
-                            positions.push(pos[0] + x, (pos[1] + y) - 1, pos[2] + z);
-                            normals.push(...dir);
+        chunkData = record.data;
+    }
 
-                            let tx = useTop;
+    const column = chunkData.data[x - cx * size];
+    const obj = column ? column[z - cz * size] : null;
 
-                            let textureRow = 0;
+    if(!obj || obj.isWater) {
+        return null;
+    }
 
-                            let utx = useTextureSize * TEXTURE_SIZE_MULTIPLIER;
+    const defTx = chunkData.defTexture || {};
 
-                            let uvx = (tx +   uv[0]) * utx / totalAtlasSize;
+    return obj.top || defTx.top || null;
+}
 
-                            let uvy = 1 - (textureRow + 1 - uv[1]) * utx / utx;
+/**
+ * Draw a tile texture's light, normal, roughness and metalness maps into a canvas chunk's map canvases,
+ * blending in the maps of masked neighbours the same way the diffuse canvas does.
+ * @param {object} canvasItems - the chunk's canvases, map canvases are added as they're needed
+ * @param {string} src - the tile texture name
+ * @param {number} dx - cell x in the chunk canvas
+ * @param {number} dy - cell y in the chunk canvas
+ * @param {object} masks - the tile's masks, or null
+ */
+async function drawCanvasChunkMaps(canvasItems, src, dx, dy, masks) {
+    for(const map of CANVAS_CHUNK_MAPS) {
+        const img = await loadTileImageAsync(src, map.which);
+        const maskTextures = [];
+
+        if(masks) {
+            for(const entry of TILE_MASKS) {
+                if(masks[entry.name] && await loadTileImageAsync(masks[entry.name], map.which)) {
+                    maskTextures.push(entry);
+                }
+            }
+        }
 
-                            uvs.push(uvx, uvy);
-                        }
+        if(!img && !maskTextures.length) {
+            continue;
+        }
 
-                        indices.push(
-                            ndx, ndx + 1, ndx + 2,
-                            ndx + 2, ndx + 1, ndx + 3
-                        );
-                    } else {
-                        for (const {pos, uv} of usecor) {
-                            positions.push(pos[0] + x, pos[1] + y, pos[2] + z);
-                            normals.push(...dir);
-
-                            let tx = useMid;
-                                    
-                            if(uvRow == 2) {
-                                tx = useTop;
-                            }
+        if(!canvasItems[map.key]) {
+            const canvas = document.createElement("canvas");
 
-                            if(uvRow == 1) {
-                                tx = useBottom;
-                            }
+            canvas.width = canvasItems.tx.width;
+            canvas.height = canvasItems.tx.height;
 
-                            let textureRow = 0;
+            const fillCtx = canvas.getContext("2d");
+            fillCtx.fillStyle = map.fill;
+            fillCtx.fillRect(0, 0, canvas.width, canvas.height);
 
-                            let utx = useTextureSize * TEXTURE_SIZE_MULTIPLIER;
+            canvasItems[map.key] = canvas;
+        }
 
-                            let uvx = (tx +   uv[0]) * utx / totalAtlasSize;
+        const ctx = canvasItems[map.key].getContext("2d");
 
-                            let uvy = 1 - (textureRow + 1 - uv[1]) * utx / utx;
+        if(img) {
+            ctx.drawImage(img, dx, dy, useTextureSize, useTextureSize);
+        }
 
-                            uvs.push(uvx,uvy);
-                        }
+        for(const entry of maskTextures) {
+            await drawMaskedTexture(ctx, masks[entry.name], entry.mask, dx, dy, useTextureSize, entry.rotation, map.which);
+        }
+    }
+}
 
-                        indices.push(
-                            ndx, ndx + 1, ndx + 2,
-                            ndx + 2, ndx + 1, ndx + 3
-                        );
+function createCanvasChunkMapTexture(canvas) {
+    if(!canvas) {
+        return null;
+    }
 
-                        if(waterNeighbor || obj.slope) {
+    const texture = new CanvasTexture(canvas);
+    texture.wrapS = RepeatWrapping;
+    texture.wrapT = RepeatWrapping;
+    texture.minFilter = LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
 
-                            ndx = positions.length / 3;
+    return texture;
+}
 
-                            for (const {pos, uv} of corners) {
+// textures a tile needs in a canvas chunk's strip, its side and bottom plus any of its layers'
+function getCanvasStripTextures(obj, defTx) {
+    const textures = [];
+    const candidates = [obj.middle || defTx.middle, obj.bottom];
 
-                                let uyy = (pos[1] + y) - 1;
+    for(const layer of obj.layers || []) {
+        candidates.push(layer.top, layer.middle, layer.bottom);
+    }
 
-                                if(obj.slope) {
-                                    uyy = pos[1] + y;
-                                }
+    for(const src of candidates) {
+        if(src && textures.indexOf(src) == -1) {
+            textures.push(src);
+        }
+    }
 
-                                positions.push(pos[0] + x, uyy, pos[2] + z);
-                                normals.push(...dir);
+    return textures;
+}
 
-                                let tx = useBottom;
+function restoreFixedNormals(geometry, normals, fixedNormals) {
+    if(!fixedNormals || !fixedNormals.length) {
+        return;
+    }
 
-                                let textureRow = 0;
-    
-                                let utx = useTextureSize * TEXTURE_SIZE_MULTIPLIER;
+    const attr = geometry.getAttribute("normal");
 
-                                let uvx = (tx +   uv[0]) * utx / totalAtlasSize;
-    
-                                let uvy = 1 - (textureRow + 1 - uv[1]) * utx / utx;
-    
-                                uvs.push(uvx,uvy);
-                            }
-    
-                            indices.push(
-                                ndx, ndx + 1, ndx + 2,
-                                ndx + 2, ndx + 1, ndx + 3
-                            );
-                        }
-                    }
-                }
-            }
+    for(const [start, end] of fixedNormals) {
+        for(let i = start * 3; i < end * 3; i++) {
+            attr.array[i] = normals[i];
         }
     }
 
-    return {
-        waterColor: waterColor,
-        hasWater: hasWater
-    };
+    attr.needsUpdate = true;
 }
 
 function clearAllParticleSystems(instance) {
@@ -7341,6 +8253,7 @@ function checkHits(hits, ignoreId) {
                     y: hit.point.z / 2,
                     z: hit.point.y / 2
                 },
+                layer: getChunkHitLayer(hit),
                 instID: instId
             };
         }
@@ -7349,6 +8262,33 @@ function checkHits(hits, ignoreId) {
     return null;
 }
 
+// index of the tile layer a chunk hit landed on, null for the ground column or anything that isn't a chunk
+function getChunkHitLayer(hit) {
+    const data = hit.object.userData.chunkData;
+
+    if(!data || !hit.face) {
+        return null;
+    }
+
+    // step half a tile back along the face normal so the point is inside the block that was hit
+    const tx = Math.floor((hit.point.x - hit.object.position.x - hit.face.normal.x) / 2);
+    const ty = Math.floor((hit.point.y - hit.face.normal.y) / 2);
+    const tz = Math.floor((hit.point.z - hit.object.position.z - hit.face.normal.z) / 2);
+
+    if(!data.data[tx] || !data.data[tx][tz]) {
+        return null;
+    }
+
+    const tile = data.data[tx][tz];
+    const layer = getChunkTileLayer(tile, ty);
+
+    if(!layer) {
+        return null;
+    }
+
+    return tile.layers.indexOf(layer);
+}
+
 function resetObjectCameraPosition(instance, obj) {
 
     if(!obj || !instance) {
@@ -7949,6 +8889,34 @@ function normalizeWaterPosition(instance) {
     }
 }
 
+// 32 bit FNV-1a of a string, for seeding createSeededRandom
+function getStringSeed(str) {
+    let seed = 2166136261;
+
+    for(let i = 0; i < str.length; i++) {
+        seed ^= str.charCodeAt(i);
+        seed = Math.imul(seed, 16777619);
+    }
+
+    return seed >>> 0;
+}
+
+// mulberry32, returns a Math.random style function that gives the same sequence for the same seed
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+
+        let t = state;
+
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 function LightenDarkenColor(color, amount) {
     const rgb = hexToRGB(color);
 
@@ -8704,49 +9672,6 @@ function drawTextureGridline(buildContext) {
     buildContext.stroke();
 }
 
-function getChunkTileNeighbor(data, x, y, z, dep) {
-
-    if(y < 0) {
-        return null;
-    }
-
-    if(x < 0 || z > data.length - 1) {
-        return null;
-    }
-
-    if(z < 0 || z > data[0].length - 1) {
-        return null;
-    }
-
-    if(!data[x]) {
-        return null;
-    }
-
-    let tile = data[x][z];
-
-    if(!tile) {
-        return null;
-    }
-
-    let useZ = 0;
-
-    if(tile.z) {
-        useZ = tile.z;
-    }
-
-    if(useZ < y) {
-        return null;
-    }
-
-    if(tile.isDepressed != dep) {
-        return -1;
-    }
-
-    
-
-    return tile;
-}
-
 function setVRCameraTheta(instance) {
     instance.activeCamera.getWorldDirection(instance.cameraVector);
 
@@ -8908,6 +9833,16 @@ function handleInstanceRender(instance, t) {
         stepParticleSystem(system,elapsed);
     }
 
+    updateChunkLods(instance, t);
+    updateChunkStreaming(instance, t);
+    updateChunkMemory(instance, t);
+    updateTileAnimations(t);
+    updateDecals(instance);
+
+    tileOverlayTime.value = performance.now() * 0.001;
+
+    updateFogOfWar(instance);
+
     // Update enhanced water animation
     if(instance.waterPlane && instance.waterPlane.isSimpleWater) {
         const timeSeconds = performance.now() * 0.001;
@@ -9021,8 +9956,8 @@ function handleInstanceRender(instance, t) {
                     instance.lastHoverReport.y = hitPosition.y;
                     instance.lastHoverReport.z = hitPosition.z;
         
-                    if(hitPosition.z < 0) {
-                        hitPosition.z = 0;
+                    if(hitPosition.z < instance.minWorldHeight) {
+                        hitPosition.z = instance.minWorldHeight;
                     }
     
                     if(instance.hoverFunction) {
@@ -9276,8 +10211,8 @@ function onUp(e) {
         if(hitPosition) {
             if(instance.clickFunction) {
 
-                if(hitPosition.z < 0) {
-                    hitPosition.z = 0;
+                if(hitPosition.z < instance.minWorldHeight) {
+                    hitPosition.z = instance.minWorldHeight;
                 }
 
                 if(pointer.right && instance.rightClickFunction) {
@@ -9717,7 +10652,7 @@ function setupVPPInstanceObject(instance, instOb) {
         obj.object.updateMatrix();
 
         // Store matrix updates for batch processing
-        matricesToUpdate.push({ index: i, matrix: obj.object.matrix });
+        matricesToUpdate.push({ index: i, matrix: obj.fogHidden ? FOG_HIDDEN_MATRIX : obj.object.matrix });
     }
 
     // Batch matrix updates to reduce GPU state changes
@@ -9829,8 +10764,8 @@ function checkHoverHit(instance, x, y, pointer, type) {
         instance.lastHoverReport.y = hitPosition.y;
         instance.lastHoverReport.z = hitPosition.z;
 
-        if(hitPosition.z < 0) {
-            hitPosition.z = 0;
+        if(hitPosition.z < instance.minWorldHeight) {
+            hitPosition.z = instance.minWorldHeight;
         }
 
         if(instance.hoverFunction) {
@@ -10074,395 +11009,346 @@ function addCanvasChunk(instance, data) {
     });
 }
 
-async function doWorkCanvasChunk(instance, data, callback) {
+// paint the changed tiles of a canvas chunk again, patches run one at a time and ones asked for meanwhile go together
+function patchCanvasChunk(instance, chunkId, record, cells) {
+    record.canvasCells = (record.canvasCells || []).concat(cells);
 
-    let rOrder = "0";
-
-    if(data.rOrder) {
-        rOrder = data.rOrder;
+    if(!record.canvasPainting) {
+        paintCanvasChunkPatches(instance, chunkId, record);
     }
+}
 
-    let waterColor = "#03A9F4";
+async function paintCanvasChunkPatches(instance, chunkId, record) {
+    record.canvasPainting = true;
 
-    let hasWater = false;
+    try {
+        while(record.canvasCells && instance.chunkRecords[chunkId] == record) {
+            const cells = record.canvasCells;
+            record.canvasCells = null;
 
-    const x = data.x;
-    const y = data.y;
+            if(!await redrawCanvasChunkTiles(instance, chunkId, record, cells)) {
+                await new Promise(resolve => doWorkCanvasChunk(instance, record.data, resolve, record));
+            }
+        }
+    } finally {
+        record.canvasPainting = false;
+    }
+}
 
-    const chunkId = x + ":" + y + ":" + rOrder;
+/**
+ * Paint some tiles of a canvas chunk again into the canvases it already has and mesh their columns again.
+ * The tiles around them come along, their masks blend over the changed ones. Tiles are painted off to the
+ * side first and copied in together, and the chunk's textures are flagged for upload instead of being made again.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {string} chunkId - The chunk id.
+ * @param {object} record - The chunk's record.
+ * @param {Array} cells - [x, z] of the changed tiles
+ * @returns {Promise<boolean>} false when the chunk has to be painted whole, a tile needs a strip texture or a map its canvases don't have
+ */
+async function redrawCanvasChunkTiles(instance, chunkId, record, cells) {
     const canvasId = chunkId + ":" + instance.id;
-
-    let uniqueSideTextures = [];
-
+    const canvasItems = chunkCanvases[canvasId];
+    const data = record.data;
+    const size = data.data.length;
     const defTx = data.defTexture || {};
 
-    if(defTx.middle) {
-        uniqueSideTextures.push(defTx.middle);
+    if(!canvasItems || !canvasItems.strip) {
+        return false;
     }
 
-    for(let x = 0; x < data.data.length; x++) {
-        for(let z = 0; z < data.data.length; z++) {
-            const obj = data.data[x][z];
-
-            if(!obj) {
-                continue;
-            }
-
-            if(obj.middle && uniqueSideTextures.indexOf(obj.middle) == -1) {
-                uniqueSideTextures.push(obj.middle);
+    for(const col of data.data) {
+        for(const obj of col) {
+            if(obj && getCanvasStripTextures(obj, defTx).some(src => canvasItems.strip[src] == undefined)) {
+                return false;
             }
         }
     }
 
-    const atlasWidth = instance.chunkSize * useTextureSize;
-    const atlasHeight = atlasWidth + uniqueSideTextures.length * useTextureSize; // maybe add in bottom textures at some point, ignoring for now
-
-    const canvasItems = {
-        tx: document.createElement("canvas"),
-        bm: document.createElement("canvas"),
-        lm: null
-    };
-
-    chunkCanvases[canvasId] = canvasItems;
-
-    canvasItems.tx.width = atlasWidth;
-    canvasItems.tx.height = atlasHeight;
-
-    canvasItems.bm.width = atlasWidth;
-    canvasItems.bm.height = atlasHeight;
-
-    const ctx = canvasItems.tx.getContext("2d");
-    const ctxBM = canvasItems.bm.getContext("2d");
-
-    let sideIndicies = {};
-    let sideIdxCtr = 0;
-
-    for(let x = 0; x < data.data.length; x++) {
-        for(let z = 0; z < data.data.length; z++) {
-            const obj = data.data[x][z];
-
-            if(!obj) {
-                continue;
-            }
-
-            if(obj.middle && uniqueSideTextures.indexOf(obj.middle) == -1) {
-                uniqueSideTextures.push(obj.middle);
-            }
-
-            const useTop = obj.top || defTx.top || null;
-            
-            if(useTop) {
-                const dx = x * useTextureSize;
-                const dy = z * useTextureSize;
-
-                const topImg = await loadTileImageAsync(useTop, "default");
-                const topBM = await loadTileImageAsync(useTop, "bump");
-
-                if(topImg) {
-                    ctx.drawImage(topImg, dx, dy, useTextureSize, useTextureSize);
-
-                    if(topBM) {
-                        ctxBM.drawImage(topBM, dx, dy, useTextureSize, useTextureSize);
-                    }
-
-                    // masks
-
-                    if(obj.masks) {
-                        if(obj.masks.top) {
-                            await drawMaskedTexture(ctx, obj.masks.top, "side", dx, dy, useTextureSize, MASK_ROTS.top);
-                        }
-
-                        if(obj.masks.bottom) {
-                            await drawMaskedTexture(ctx, obj.masks.bottom, "side", dx, dy, useTextureSize, MASK_ROTS.bottom);
-                        }
-
-                        if(obj.masks.left) {
-                            await drawMaskedTexture(ctx, obj.masks.left, "side", dx, dy, useTextureSize, MASK_ROTS.left);
-                        }
-
-                        if(obj.masks.right) {
-                            await drawMaskedTexture(ctx, obj.masks.right, "side", dx, dy, useTextureSize, MASK_ROTS.right);
-                        }
-
-
-
-                        if(obj.masks.bottomRight) {
-                            await drawMaskedTexture(ctx, obj.masks.bottomRight, "corner", dx, dy, useTextureSize, MASK_ROTS.right);
-                        }
-
-                        if(obj.masks.bottomLeft) {
-                            await drawMaskedTexture(ctx, obj.masks.bottomLeft, "corner", dx, dy, useTextureSize, MASK_ROTS.bottom);
-                        }
-
-                        if(obj.masks.topLeft) {
-                            await drawMaskedTexture(ctx, obj.masks.topLeft, "corner", dx, dy, useTextureSize, MASK_ROTS.left);
-                        }
+    const job = createCanvasChunkJob(instance, data, canvasItems.strip, canvasItems.rows);
 
-                        if(obj.masks.topRight) {
-                            await drawMaskedTexture(ctx, obj.masks.topRight, "corner", dx, dy, useTextureSize, MASK_ROTS.top);
-                        }
+    // neighbouring chunks loaded or changed since hide border faces and blend their masks in
+    const changed = cells.concat(getChangedEdgeCells(record.edges, job.edges, size));
+    const redraw = new Map();
 
-                    }
+    for(const [cx, cz] of changed) {
+        for(let x = cx - 1; x <= cx + 1; x++) {
+            for(let z = cz - 1; z <= cz + 1; z++) {
+                if(x >= 0 && z >= 0 && x < size && z < size) {
+                    redraw.set(x + ":" + z, [x, z]);
                 }
             }
+        }
+    }
 
-            const useSide = obj.middle || defTx.middle || null;
-
-            if(useSide && sideIndicies[useSide] == undefined) {
-                const dx = 0;
-                const dy = instance.chunkSize * useTextureSize + sideIdxCtr * useTextureSize;
+    const painted = [];
 
-                sideIndicies[useSide] = sideIdxCtr;
-                sideIdxCtr++;
+    for(const [x, z] of redraw.values()) {
+        const cell = createCanvasChunkCell();
 
-                const sideImg = await loadTileImageAsync(useSide);
+        await drawCanvasChunkTop(instance, data, cell, x, z, 0, 0);
 
-                if(sideImg) {
-                    ctx.drawImage(sideImg, dx, dy, useTextureSize, useTextureSize);
-                }
-            }
+        if(CANVAS_CHUNK_MAPS.some(map => cell[map.key] && !canvasItems[map.key])) {
+            return false;
         }
+
+        painted.push({ x: x, z: z, cell: cell });
     }
 
-    const geometry = new BufferGeometry();
+    // removed, added again or painted whole while this was painting
+    if(instance.chunkRecords[chunkId] != record || chunkCanvases[canvasId] != canvasItems || !instance.chunks[chunkId]) {
+        return true;
+    }
 
-    const positions = [];
-    const normals = [];
-    const uvs = [];
-    const indices = [];
+    for(const {x, z, cell} of painted) {
+        const dx = x * useTextureSize;
+        const dy = z * useTextureSize;
 
-    const txPerW = useTextureSize / atlasWidth;
-    const txPerH = useTextureSize / atlasHeight;
+        canvasItems.animated = canvasItems.animated.filter(entry => entry.dx != dx || entry.dy != dy);
 
-    for(let x = 0; x < data.data.length; x++) {
-        for(let z = 0; z < data.data.length; z++) {
-            const obj = data.data[x][z];
+        for(const entry of cell.animated) {
+            canvasItems.animated.push(Object.assign(entry, { dx: dx, dy: dy }));
+        }
 
-            if(!obj) {
+        for(const key of ["tx", "bm"].concat(CANVAS_CHUNK_MAPS.map(map => map.key))) {
+            if(!canvasItems[key]) {
                 continue;
             }
 
-            let floorZ = obj.z || 0;
-            let waterNeighbor = false;
+            const ctx = canvasItems[key].getContext("2d");
 
+            ctx.clearRect(dx, dy, useTextureSize, useTextureSize);
 
-            const imgX = x * useTextureSize;
-            const imgY = z * useTextureSize;
+            if(cell[key]) {
+                ctx.drawImage(cell[key], dx, dy);
+            } else {
+                // the tile has none of this map, its cell goes back to the blank fill
+                ctx.fillStyle = CANVAS_CHUNK_MAPS.find(map => map.key == key).fill;
+                ctx.fillRect(dx, dy, useTextureSize, useTextureSize);
+            }
+        }
+    }
 
-            const uv = imgCoordToUV(imgX, imgY, atlasWidth, atlasHeight, txPerH);
+    for(const key of CANVAS_CHUNK_TEXTURES) {
+        if(record.material[key]) {
+            record.material[key].needsUpdate = true;
+        }
+    }
 
-            const topTxX = uv.u;
-            const topTxY = uv.v;
+    const cellList = Array.from(redraw.values());
+    const result = meshChunkRecordColumns(record, cellList, job);
 
-            let sideTxX = topTxX;
-            let sideTxY = topTxY;
+    record.edges = job.edges;
 
-            const useSide = obj.middle || defTx.middle || null;
+    patchLegacyChunk(instance, chunkId, record, result);
+    resetChunkLods(instance, chunkId, record);
+    refreshChunkLod(instance, chunkId, record);
 
-            let hasSide = false;
+    addCanvasWaterPlane(instance, result);
 
-            let sideIdx = null;
+    return true;
+}
 
-            if(useSide && sideIndicies[useSide] !== undefined) {
-                hasSide = true;
+// one cell sized set of canvases to paint a canvas chunk tile into, map canvases are added as they're needed
+function createCanvasChunkCell() {
+    const cell = {
+        tx: document.createElement("canvas"),
+        bm: document.createElement("canvas"),
+        lm: null,
+        nm: null,
+        rm: null,
+        mm: null,
+        animated: []
+    };
 
-                sideIdx = sideIndicies[useSide];
+    for(const canvas of [cell.tx, cell.bm]) {
+        canvas.width = useTextureSize;
+        canvas.height = useTextureSize;
+    }
 
-                const sideY = atlasWidth + (sideIdx * useTextureSize);
+    return cell;
+}
 
-                const uv = imgCoordToUV(0, sideY, atlasWidth, atlasHeight, txPerH);
-                
-                sideTxX = uv.u;
-                sideTxY = uv.v;
-            }
+/**
+ * Paint a tile's top into a canvas chunk's canvases with its bump map, other maps, masks and roads.
+ * Animated tops are listed in canvasItems.animated so updateTileAnimations keeps drawing them.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} data - The chunk data.
+ * @param {object} canvasItems - the canvases to paint into
+ * @param {number} x - tile x within the chunk
+ * @param {number} z - tile z within the chunk
+ * @param {number} dx - cell x in the canvases
+ * @param {number} dy - cell y in the canvases
+ */
+async function drawCanvasChunkTop(instance, data, canvasItems, x, z, dx, dy) {
+    const obj = data.data[x][z];
+    const defTx = data.defTexture || {};
+    const useTop = obj ? obj.top || defTx.top || null : null;
 
-            for(let y = 0; y < WORLD_HEIGHT; y++) {
-                // there is ground here
-                if(y <= floorZ) {
-                    for (const {dir, corners, uvRow, altcorners, slopes, smdepress} of TEXTURE_FACES) {
+    if(!useTop) {
+        return;
+    }
 
-                        const ux = x + dir[0];
-                        const uy = y + dir[1];
-                        const uz = z + dir[2];
+    let masks = obj.masks;
 
-                        const neighbor = getChunkTileNeighbor(
-                            data.data,
-                            ux,
-                            uy,
-                            uz,
-                            obj.isDepressed
-                        );
+    if(!masks && instance.autoChunkMasks) {
+        masks = getAutoTileMasks(instance, data, x, z, useTop);
+    }
 
-                        let shouldSkip = false;
+    const roads = obj.isWater ? null : getCanvasTileRoads(instance, data, obj, x, z);
 
-                        if(neighbor && neighbor != -1) {
-                            if(!neighbor.isWater) {
-                                neighbor.isWater = false;
-                            } else {
-                                waterNeighbor = true;
-                            }
+    const topImg = await loadTileImageAsync(useTop, "default");
+    const topBM = await loadTileImageAsync(useTop, "bump");
 
-                            if(!obj.isWater) {
-                                obj.isWater = false;
-                            }
+    if(!topImg) {
+        return;
+    }
 
-                            shouldSkip = true;
+    const ctx = canvasItems.tx.getContext("2d");
 
-                            
-                            if(obj.isWater != neighbor.isWater) {
-                                shouldSkip = false;
-                            }
+    ctx.drawImage(topImg, dx, dy, useTextureSize, useTextureSize);
 
-                            if(shouldSkip) {
-                                if((obj.slope || neighbor.slope) && (obj.slope != neighbor.slope)) {
-                                    //shouldSkip = false;
-                                }
-                            }
-                        } else {
-                            if(data.noSides && uvRow != 2 && neighbor != -1) {
-                                shouldSkip = true;
-                            }
-                        }
+    if(getTileAnimation(useTop)) {
+        canvasItems.animated.push({ src: useTop, dx: dx, dy: dy, masks: masks, roads: roads, noiseSize: instance.vppSize, key: null });
+    }
 
-                        if(obj.isWater && instance.waterTexture) {
-                            hasWater = true;
-                        }
+    if(topBM) {
+        canvasItems.bm.getContext("2d").drawImage(topBM, dx, dy, useTextureSize, useTextureSize);
+    }
 
-                        if(waterNeighbor) {
-                            shouldSkip = false;
-                        }
+    await drawCanvasChunkMaps(canvasItems, useTop, dx, dy, masks);
 
+    // masks
 
-                        if(!shouldSkip) {
-                            let ndx = positions.length / 3;
+    if(masks) {
+        for(const entry of TILE_MASKS) {
+            if(masks[entry.name]) {
+                await drawMaskedTexture(ctx, masks[entry.name], entry.mask, dx, dy, useTextureSize, entry.rotation);
+            }
+        }
+    }
 
-                            let usecor = corners;
+    if(roads) {
+        drawCanvasTileRoads(ctx, roads, dx, dy, instance.vppSize);
+    }
+}
 
-                            if(obj.isWater && y == floorZ) {
-                                usecor = altcorners;
-                            }
+// a tile's own roads and the road graph's, null when there are none
+function getCanvasTileRoads(instance, data, obj, x, z) {
+    const graphRoads = getGraphRoads(instance, data, x, z);
 
-                            if(obj.isDepressed) {
-                                usecor = smdepress;
-                            }
+    if(obj.roads && graphRoads) {
+        return obj.roads.concat(graphRoads);
+    }
 
-                            if(obj.slope && slopes[obj.slope]) {
-                                usecor = slopes[obj.slope];
-                            }
+    return graphRoads || obj.roads || null;
+}
 
-                            if(obj.isWater && instance.waterTexture) {
+async function doWorkCanvasChunk(instance, data, callback, patch = null) {
 
-                                for (const {pos, uv} of corners) {
-                                    positions.push(pos[0] + x, (pos[1] + y) - 1, pos[2] + z);
-                                    normals.push(...dir);
+    let rOrder = "0";
 
-                                    /*
-                                    let tx = useTop;
+    if(data.rOrder) {
+        rOrder = data.rOrder;
+    }
 
-                                    let textureRow = 0;
+    const x = data.x;
+    const y = data.y;
 
-                                    let utx = useTextureSize * TEXTURE_SIZE_MULTIPLIER;
+    const chunkId = x + ":" + y + ":" + rOrder;
+    const canvasId = chunkId + ":" + instance.id;
 
-                                    let uvx = (tx +   uv[0]) * utx / totalAtlasSize;
+    let uniqueSideTextures = [];
 
-                                    let uvy = 1 - (textureRow + 1 - uv[1]) * utx / utx;
+    const defTx = data.defTexture || {};
 
-                                    uvs.push(uvx,uvy);*/
-                                }
+    if(defTx.middle) {
+        uniqueSideTextures.push(defTx.middle);
+    }
 
-                                
-                                indices.push(
-                                    ndx, ndx + 1, ndx + 2,
-                                    ndx + 2, ndx + 1, ndx + 3
-                                );
-                            } else {
-                                for (const {pos, uv} of usecor) {
-                                    positions.push(pos[0] + x, pos[1] + y, pos[2] + z);
-                                    normals.push(...dir);
+    for(let x = 0; x < data.data.length; x++) {
+        for(let z = 0; z < data.data.length; z++) {
+            const obj = data.data[x][z];
 
-                                    let txX = sideTxX;
-                                    let txY = sideTxY;
+            if(!obj) {
+                continue;
+            }
 
+            for(const src of getCanvasStripTextures(obj, defTx)) {
+                if(uniqueSideTextures.indexOf(src) == -1) {
+                    uniqueSideTextures.push(src);
+                }
+            }
+        }
+    }
 
+    // tile tops fill the first chunkSize rows, below them one row per side, bottom or layer texture
+    const atlasWidth = instance.chunkSize * useTextureSize;
+    const atlasHeight = atlasWidth + uniqueSideTextures.length * useTextureSize;
 
-                                    if(uvRow == 2 || !hasSide) {
-                                        txX = topTxX;
-                                        txY = topTxY;
-                                    }
+    const canvasItems = {
+        tx: document.createElement("canvas"),
+        bm: document.createElement("canvas"),
+        lm: null,
+        nm: null,
+        rm: null,
+        mm: null,
+        texture: null,
+        animated: [],
+        strip: null,
+        rows: atlasHeight / useTextureSize
+    };
 
-                                    const xInTile = uv[0] * txPerW;
-                                    const yInTile = uv[1] * txPerH;
+    canvasItems.tx.width = atlasWidth;
+    canvasItems.tx.height = atlasHeight;
 
-                                    const uvx = txX + xInTile;
-                                    const uvy = txY + yInTile;
+    canvasItems.bm.width = atlasWidth;
+    canvasItems.bm.height = atlasHeight;
 
-                                    uvs.push(uvx, uvy);
-                                }
+    const ctx = canvasItems.tx.getContext("2d");
 
-                                indices.push(
-                                    ndx, ndx + 1, ndx + 2,
-                                    ndx + 2, ndx + 1, ndx + 3
-                                );
+    let sideIndicies = {};
+    let sideIdxCtr = 0;
 
-                                if(waterNeighbor || obj.slope) {
+    for(let x = 0; x < data.data.length; x++) {
+        for(let z = 0; z < data.data.length; z++) {
+            const obj = data.data[x][z];
 
-                                    ndx = positions.length / 3;
+            if(!obj) {
+                continue;
+            }
 
-                                    for (const {pos, uv} of corners) {
+            if(obj.middle && uniqueSideTextures.indexOf(obj.middle) == -1) {
+                uniqueSideTextures.push(obj.middle);
+            }
 
+            await drawCanvasChunkTop(instance, data, canvasItems, x, z, x * useTextureSize, z * useTextureSize);
 
-                                        let uyy = (pos[1] + y) - 1;
+            for(const src of getCanvasStripTextures(obj, defTx)) {
+                if(sideIndicies[src] != undefined) {
+                    continue;
+                }
 
-                                        if(obj.slope) {
-                                            uyy = pos[1] + y;
-                                        }
+                const dy = instance.chunkSize * useTextureSize + sideIdxCtr * useTextureSize;
 
-                                        positions.push(pos[0] + x, uyy, pos[2] + z);
-                                        normals.push(...dir);
+                sideIndicies[src] = sideIdxCtr;
+                sideIdxCtr++;
 
+                const sideImg = await loadTileImageAsync(src);
 
-                                        let uvx = topTxX + uv[0];
-                                        let uvy = topTxY + uv[1];
+                if(sideImg) {
+                    ctx.drawImage(sideImg, 0, dy, useTextureSize, useTextureSize);
 
-                                        uvs.push(uvx, uvy);
-                                    }
-    
-                                    indices.push(
-                                        ndx, ndx + 1, ndx + 2,
-                                        ndx + 2, ndx + 1, ndx + 3
-                                    );
-                                }
-                            }
-                        }
-                    }
+                    await drawCanvasChunkMaps(canvasItems, src, 0, dy, null);
                 }
             }
         }
     }
 
+    canvasItems.strip = sideIndicies;
 
-    const positionNumComponents = 3;
-    const normalNumComponents = 3;
-    const uvNumComponents = 2;
-            
-    geometry.setAttribute(
-        "position",
-        new BufferAttribute(new Float32Array(positions), positionNumComponents));
-
-    geometry.setAttribute(
-        "normal",
-        new BufferAttribute(new Float32Array(normals), normalNumComponents));
-
-    geometry.setAttribute(
-        "uv",
-        new BufferAttribute(new Float32Array(uvs), uvNumComponents));
-
-    geometry.setIndex(indices);
-
-    geometry.scale(2, 2, 2);
-
-    geometry.normalsNeedUpdate = true;
-    geometry.computeVertexNormals();
+    // same mesher as legacy chunks, the tile indices just point into this chunk's canvas instead of the shared atlas
+    const job = createCanvasChunkJob(instance, data, sideIndicies, canvasItems.rows);
+    const result = meshLegacyChunk(job);
 
     // ==== CREATE TEXTURE & MESH ====
     const diffuseTexture = new CanvasTexture(canvasItems.tx);
@@ -10473,6 +11359,8 @@ async function doWorkCanvasChunk(instance, data, callback) {
     diffuseTexture.generateMipmaps = true;
     diffuseTexture.colorSpace = USE_COLORSPACE;
 
+    canvasItems.texture = diffuseTexture;
+
 
     // ==== CREATE TEXTURE & MESH ====
     const bmTexture = new CanvasTexture(canvasItems.bm);
@@ -10483,6 +11371,11 @@ async function doWorkCanvasChunk(instance, data, callback) {
     bmTexture.generateMipmaps = true;
     bmTexture.colorSpace = USE_COLORSPACE;
 
+    const lmTexture = createCanvasChunkMapTexture(canvasItems.lm);
+    const nmTexture = createCanvasChunkMapTexture(canvasItems.nm);
+    const rmTexture = createCanvasChunkMapTexture(canvasItems.rm);
+    const mmTexture = createCanvasChunkMapTexture(canvasItems.mm);
+
     let material = null;
 
     // Create material for chunk - apply toy mode plastic look when enabled
@@ -10494,31 +11387,83 @@ async function doWorkCanvasChunk(instance, data, callback) {
             specular: LightenDarkenColor(instance.sunColor, -230),     // strong white specular for shiny highlights
             shininess: 500,
             bumpMap: bmTexture,
-            bumpScale: 0.45
+            bumpScale: 0.45,
+            lightMap: lmTexture,
+            normalMap: nmTexture,
+            vertexColors: !!result.colors
         });
 
+    } else if(rmTexture || mmTexture) {
+        // roughness and metalness need a standard material, untouched cells come out fully rough and not metallic
+        material = new MeshStandardMaterial({
+            map: diffuseTexture,
+            bumpMap: bmTexture,
+            bumpScale: 0.45,
+            lightMap: lmTexture,
+            normalMap: nmTexture,
+            roughnessMap: rmTexture,
+            metalnessMap: mmTexture,
+            roughness: 1,
+            metalness: mmTexture ? 1 : 0,
+            vertexColors: !!result.colors
+        });
     } else {
         material = new MeshLambertMaterial({ 
             map: diffuseTexture,
             bumpMap: bmTexture,
-            bumpScale: 0.45
+            bumpScale: 0.45,
+            lightMap: lmTexture,
+            normalMap: nmTexture,
+            vertexColors: !!result.colors
         });
     }
-    
 
-    const mesh = new Mesh(geometry, material);
+    // water surfaces get their own see-through mesh, same as legacy chunks
+    const waterMaterial = new MeshLambertMaterial({
+        map: diffuseTexture,
+        transparent: true,
+        opacity: CANVAS_WATER_OPACITY,
+        depthWrite: false
+    });
+
+    if(patch) {
+        // the chunk was removed or rebuilt while this was painting
+        if(instance.chunkRecords[chunkId] != patch || !instance.chunks[chunkId]) {
+            disposeCanvasChunkMaterial(material);
+            disposeCanvasChunkMaterial(waterMaterial);
 
-    const meshX = Math.round((data.x * instance.chunkSize) * 2);
-    const meshY = Math.round((data.y * instance.chunkSize) * 2);
+            callback();
+            return;
+        }
 
-    mesh.position.set(meshX, 0, meshY);
+        const oldMaterial = patch.material;
+        const oldWaterMaterial = patch.waterMaterial;
 
-    mesh.receiveShadow = true;
+        chunkCanvases[canvasId] = canvasItems;
 
-    if(data.castShadow != undefined) {
-        mesh.castShadow = data.castShadow;
-    } else {
-        mesh.castShadow = true;
+        patch.edges = job.edges;
+        patch.material = material;
+        patch.waterMaterial = waterMaterial;
+        patch.columns = null;
+
+        patchLegacyChunk(instance, chunkId, patch, result);
+        resetChunkLods(instance, chunkId, patch);
+        refreshChunkLod(instance, chunkId, patch);
+
+        addCanvasWaterPlane(instance, result);
+
+        disposeCanvasChunkMaterial(oldMaterial);
+        disposeCanvasChunkMaterial(oldWaterMaterial);
+
+        callback();
+        return;
+    }
+
+    const mesh = createLegacyChunkMesh(result.positions, result.normals, result.uvs, result.indices, data.x, data.y, instance.chunkSize, data.castShadow, material, result.fixedNormals);
+
+    // baked ambient occlusion
+    if(result.colors) {
+        mesh.geometry.setAttribute("color", new BufferAttribute(toFloat32Array(result.colors), 3));
     }
 
     // Apply per-material shadow bias for chunks to fix seam artifacts
@@ -10526,35 +11471,168 @@ async function doWorkCanvasChunk(instance, data, callback) {
 
     instance.removeChunk(data.x, data.y, rOrder, 500);
 
+    chunkCanvases[canvasId] = canvasItems;
+
     instance.chunks[chunkId] = mesh;
+    mesh.userData.chunkData = data;
+    instance.chunkRecords[chunkId] = {
+        data: data,
+        job: null,
+        material: material,
+        waterMaterial: waterMaterial,
+        edges: job.edges
+    };
+
+    if(result.hasWater) {
+        addLegacyChunkWaterMesh(instance, data, chunkId, result, waterMaterial);
+    }
+
     instance.scene.add(mesh);
     instance.hitTestObjects.push(mesh);
 
+    refreshChunkLod(instance, chunkId, instance.chunkRecords[chunkId]);
+    onChunkMeshUpdated(instance, chunkId);
+
     clearAllParticleSystems(instance);
 
-    if(hasWater && instance.waterTexture && !instance.waterPlane) {
-        instance.setWater(waterColor, 1.8);
-    }
+    addCanvasWaterPlane(instance, result);
 
     callback();
 }
 
-function loadTileImageAsync(name, which = "default") {
-
-    let mapProp = "src";
+// canvas maps with water have always had the water plane put in for them
+function addCanvasWaterPlane(instance, result) {
+    if(result.hasWater && instance.waterTexture && !instance.waterPlane) {
+        instance.setWater(CANVAS_WATER_COLOR, 1.8);
+    }
+}
 
-    if(which == "bump") {
-        mapProp = "bumpmap";
+// canvas chunk materials own their textures, the water material shares the diffuse one
+function disposeCanvasChunkMaterial(material) {
+    if(!material) {
+        return;
     }
 
-    if(which == "light") {
-        mapProp = "lightmap";
+    for(const key of CANVAS_CHUNK_TEXTURES) {
+        if(material[key]) {
+            material[key].dispose();
+        }
     }
 
-    const txDef = cavasTextureAtlas[name];
+    material.dispose();
+}
 
-    if(!txDef) {
-        return new Promise((resolve) => {
+/**
+ * Build a mesher job for a canvas chunk. Indices point at cells of the chunk canvas: tile tops sit in
+ * the cell matching their position, sides, bottoms and layers in the strip below. Water tiles put their
+ * top texture on the water surface and their side texture on the bed, like the atlas does.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} data - The chunk data.
+ * @param {object} sideIndicies - strip row of each side texture
+ * @param {number} rows - cell rows in the chunk canvas
+ * @returns {object} a job for meshLegacyChunk
+ */
+function createCanvasChunkJob(instance, data, sideIndicies, rows) {
+    const defTx = data.defTexture || {};
+    const columns = instance.chunkSize;
+    const tiles = [];
+
+    const getStripIndex = function(src, fallback) {
+        if(src && sideIndicies[src] !== undefined) {
+            return (instance.chunkSize + sideIndicies[src]) * columns;
+        }
+
+        return fallback;
+    };
+
+    for(let x = 0; x < data.data.length; x++) {
+        tiles.push([]);
+
+        for(let z = 0; z < data.data.length; z++) {
+            const obj = data.data[x][z];
+
+            if(!obj) {
+                tiles[x].push(null);
+                continue;
+            }
+
+            const topIndex = z * columns + x;
+            const middle = getStripIndex(obj.middle || defTx.middle, topIndex);
+            const bottom = getStripIndex(obj.bottom, middle);
+
+            let layers = null;
+
+            if(obj.layers && obj.layers.length) {
+                layers = obj.layers.map(function(layer) {
+                    const layerMiddle = getStripIndex(layer.middle, middle);
+
+                    return {
+                        from: layer.from || 0,
+                        to: layer.to != undefined ? layer.to : (layer.from || 0),
+                        isWater: false,
+                        top: getStripIndex(layer.top, layer.middle ? layerMiddle : topIndex),
+                        middle: layerMiddle,
+                        bottom: getStripIndex(layer.bottom, layer.middle ? layerMiddle : bottom)
+                    };
+                });
+            }
+
+            tiles[x].push({
+                z: obj.z,
+                isWater: !!obj.isWater,
+                isDepressed: obj.isDepressed,
+                slope: obj.slope,
+                top: obj.isWater ? middle : topIndex,
+                middle: middle,
+                bottom: bottom,
+                water: obj.isWater && obj.top ? topIndex : null,
+                layers: layers
+            });
+        }
+    }
+
+    return {
+        tiles: tiles,
+        atlasColumns: columns,
+        atlasRows: rows,
+        noSides: data.noSides,
+        roundedCorners: data.roundedCorners,
+        greedy: false,
+        minHeight: instance.minWorldHeight,
+        maxHeight: instance.maxWorldHeight,
+        ambientOcclusion: instance.chunkAmbientOcclusion,
+        edges: getChunkEdges(instance, data)
+    };
+}
+
+function loadTileImageAsync(name, which = "default") {
+
+    let mapProp = "src";
+
+    if(which == "bump") {
+        mapProp = "bumpmap";
+    }
+
+    if(which == "light") {
+        mapProp = "lightmap";
+    }
+
+    if(which == "normal") {
+        mapProp = "normalmap";
+    }
+
+    if(which == "roughness") {
+        mapProp = "roughnessmap";
+    }
+
+    if(which == "metalness") {
+        mapProp = "metalnessmap";
+    }
+
+    const txDef = cavasTextureAtlas[name];
+
+    if(!txDef) {
+        return new Promise((resolve) => {
             resolve(null);
         });
     }
@@ -10739,16 +11817,20 @@ async function generateNoiseMask() {
     return img;
 }
 
-async function drawMaskedTexture(ctx, neighborTex, mask, x, y, size, rotation) {
+function getMaskedTextureName(neighborTex, mask, rotation, which) {
+    return neighborTex + "." + which + "." + mask + "." + rotation.toFixed(3);
+}
+
+async function drawMaskedTexture(ctx, neighborTex, mask, x, y, size, rotation, which = "default") {
 
-    const maskName = neighborTex + "." + mask + "." + rotation.toFixed(3);
+    const maskName = getMaskedTextureName(neighborTex, mask, rotation, which);
 
     if(tileTextures[maskName]) {
         ctx.drawImage(tileTextures[maskName], x, y, size, size);
         return;
     }
 
-    const neighborTexture = await loadTileImageAsync(neighborTex);
+    const neighborTexture = await loadTileImageAsync(neighborTex, which);
 
     if(!neighborTexture) {
         return;
@@ -10833,19 +11915,218 @@ async function drawMaskedTexture(ctx, neighborTex, mask, x, y, size, rotation) {
 }
 
 
-function imgCoordToUV(x, y, width, height, txPerH) {
+export function setChunkTextureAtlas(atlas) {
+    cavasTextureAtlas = atlas;
+    tileTextures = {};
+    tileAnimationFrames = {};
+}
+
+/**
+ * Animate tile textures on chunk tops. Keys are the texture a tile uses, the legacy texture string or
+ * the canvas texture atlas name, canvas atlas entries can carry the same fields themselves.
+ * Every chunk using a texture shows the same frame, chunk meshes are not rebuilt. Tops get atlas cells
+ * of their own so sides with the same texture stay still, set animations before building the chunks.
+ * @param {object} animations - {texture: {frames: [src], frameRate, scroll: {x, y}}}, scroll is in tiles per second
+ */
+export function setTileAnimations(animations) {
+    tileAnimations = animations || {};
+    tileAnimationFrames = {};
+}
+
+function getTileAnimation(name) {
+    const anim = tileAnimations[name] || cavasTextureAtlas[name];
+
+    if(!anim || (!anim.frames && !anim.scroll)) {
+        return null;
+    }
+
+    return anim;
+}
+
+// loaded frame images, null until every frame is in
+function getTileAnimationFrames(name, anim) {
+    if(!anim.frames || !anim.frames.length) {
+        return null;
+    }
+
+    if(tileAnimationFrames[name]) {
+        return tileAnimationFrames[name].images;
+    }
+
+    const state = {
+        images: null
+    };
+
+    tileAnimationFrames[name] = state;
+
+    Promise.all(anim.frames.map(loadTileFrameAsync)).then(function(images) {
+        state.images = images;
+    }).catch(function(err) {
+        console.warn("tile animation frames failed to load", name, err);
+    });
+
+    return null;
+}
+
+function loadTileFrameAsync(src) {
+    if(src.indexOf("#") != 0) {
+        return loadImageAsync(src);
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = useTextureSize;
+    canvas.height = useTextureSize;
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = src;
+    ctx.fillRect(0, 0, useTextureSize, useTextureSize);
+
+    return Promise.resolve(canvas);
+}
+
+// the frame and scroll offset of an animation at a time, key only changes when the drawn cell would
+function getTileAnimationState(name, anim, time) {
+    const seconds = time / 1000;
+    const frames = getTileAnimationFrames(name, anim);
+    const scroll = anim.scroll || {};
+
+    let frame = -1;
 
+    if(frames) {
+        frame = Math.floor(seconds * (anim.frameRate || DEF_TILE_FRAME_RATE)) % frames.length;
+    }
 
+    const ox = Math.floor(wrapTileScroll(seconds * (scroll.x || 0)) * useTextureSize);
+    const oy = Math.floor(wrapTileScroll(seconds * (scroll.y || 0)) * useTextureSize);
 
     return {
-        u: x / width,
-        v: (height - y / height) - txPerH
+        image: frame == -1 ? null : frames[frame],
+        ox: ox,
+        oy: oy,
+        key: frame + ":" + ox + ":" + oy
     };
 }
 
-export function setChunkTextureAtlas(atlas) {
-    cavasTextureAtlas = atlas;
-    tileTextures = {};
+function wrapTileScroll(value) {
+    return ((value % 1) + 1) % 1;
+}
+
+function drawAnimatedTile(ctx, image, state, dx, dy) {
+    const size = useTextureSize;
+
+    ctx.clearRect(dx, dy, size, size);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(dx, dy, size, size);
+    ctx.clip();
+
+    // the image wraps around inside its cell
+    for(let i = 0; i < 2; i++) {
+        for(let j = 0; j < 2; j++) {
+            ctx.drawImage(image, dx + state.ox - size + i * size, dy + state.oy - size + j * size, size, size);
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Step animated tiles in the shared atlas and in every canvas chunk. Frames come from the time alone,
+ * so a tile is in sync wherever it is used, and a cell is only drawn again when its frame or
+ * scroll offset changes.
+ * @param {number} t - animation loop time
+ */
+function updateTileAnimations(t) {
+    // every instance calls this from its own loop
+    if(t == lastTileAnimationUpdate) {
+        return;
+    }
+
+    lastTileAnimationUpdate = t;
+
+    const time = performance.now();
+    const states = {};
+
+    const getState = function(name, anim) {
+        if(!states[name]) {
+            states[name] = getTileAnimationState(name, anim, time);
+        }
+
+        return states[name];
+    };
+
+    for(let prop in textureAtlas) {
+        const texture = textureAtlas[prop];
+        const anim = texture.animated ? getTileAnimation(texture.name) : null;
+
+        if(!anim || texture.loading || !curAtlasTexture) {
+            continue;
+        }
+
+        const state = getState(texture.name, anim);
+
+        if(state.key == texture.animationKey) {
+            continue;
+        }
+
+        texture.animationKey = state.key;
+
+        // only the pages with animated cells go up again
+        writeAtlasCell(texture, state.image || texture.canvas, state);
+    }
+
+    for(let canvasId in chunkCanvases) {
+        const canvasItems = chunkCanvases[canvasId];
+
+        if(!canvasItems.texture || !canvasItems.animated.length) {
+            continue;
+        }
+
+        const ctx = canvasItems.tx.getContext("2d");
+
+        let dirty = false;
+
+        for(const cell of canvasItems.animated) {
+            const anim = getTileAnimation(cell.src);
+            const base = tileTextures[cell.src + ".src"];
+
+            if(!anim || !base) {
+                continue;
+            }
+
+            const state = getState(cell.src, anim);
+
+            if(state.key == cell.key) {
+                continue;
+            }
+
+            cell.key = state.key;
+
+            drawAnimatedTile(ctx, state.image || base, state, cell.dx, cell.dy);
+
+            // masks were made when the chunk was built, they just go back on top
+            if(cell.masks) {
+                for(const entry of TILE_MASKS) {
+                    const masked = cell.masks[entry.name] ? tileTextures[getMaskedTextureName(cell.masks[entry.name], entry.mask, entry.rotation, "default")] : null;
+
+                    if(masked) {
+                        ctx.drawImage(masked, cell.dx, cell.dy, useTextureSize, useTextureSize);
+                    }
+                }
+            }
+
+            if(cell.roads) {
+                drawCanvasTileRoads(ctx, cell.roads, cell.dx, cell.dy, cell.noiseSize);
+            }
+
+            dirty = true;
+        }
+
+        if(dirty) {
+            canvasItems.texture.needsUpdate = true;
+        }
+    }
 }
 
 function updateObjectLoop(instance, obj, delta) {
@@ -10921,7 +12202,30 @@ function pollGamepads() {
     GPH.forcePoll();
 }
 
-function createLegacyChunkMesh(positions, normals, uvs, indices, x, y, chunkSize, castShadow, materialOverride) {
+function createLegacyChunkMesh(positions, normals, uvs, indices, x, y, chunkSize, castShadow, materialOverride, fixedNormals = null) {
+    const cellgeo = createLegacyChunkGeometry(positions, normals, uvs, indices, fixedNormals);
+
+    const meshMaterial = materialOverride || curAtlasMaterial;
+    const mesh = new Mesh(cellgeo, meshMaterial);
+    mesh.userData.preserveMaterial = true;
+
+    const meshX = Math.round((x * chunkSize) * 2);
+    const meshY = Math.round((y * chunkSize) * 2);
+
+    mesh.position.set(meshX, 0, meshY);
+
+    mesh.receiveShadow = true;
+
+    if(castShadow != undefined) {
+        mesh.castShadow = castShadow;
+    } else {
+        mesh.castShadow = true;
+    }
+
+    return mesh;
+}
+
+function createLegacyChunkGeometry(positions, normals, uvs, indices, fixedNormals = null) {
     const cellgeo = new BufferGeometry();
 
     const positionNumComponents = 3;
@@ -10930,41 +12234,2391 @@ function createLegacyChunkMesh(positions, normals, uvs, indices, x, y, chunkSize
             
     cellgeo.setAttribute(
         "position",
-        new BufferAttribute(new Float32Array(positions), positionNumComponents));
+        new BufferAttribute(toFloat32Array(positions), positionNumComponents));
 
     cellgeo.setAttribute(
         "normal",
-        new BufferAttribute(new Float32Array(normals), normalNumComponents));
+        new BufferAttribute(toFloat32Array(normals), normalNumComponents));
 
     cellgeo.setAttribute(
         "uv",
-        new BufferAttribute(new Float32Array(uvs), uvNumComponents));
+        new BufferAttribute(toFloat32Array(uvs), uvNumComponents));
 
-    cellgeo.setIndex(indices);
+    // worker results come back as typed arrays
+    if(ArrayBuffer.isView(indices)) {
+        cellgeo.setIndex(new BufferAttribute(indices, 1));
+    } else {
+        cellgeo.setIndex(indices);
+    }
 
     cellgeo.scale(2, 2, 2);
 
     cellgeo.normalsNeedUpdate = true;
     cellgeo.computeVertexNormals();
 
-    const meshMaterial = materialOverride || curAtlasMaterial;
-    const mesh = new Mesh(cellgeo, meshMaterial);
-    mesh.userData.preserveMaterial = true;
+    restoreFixedNormals(cellgeo, normals, fixedNormals);
 
-    const meshX = Math.round((x * chunkSize) * 2);
-    const meshY = Math.round((y * chunkSize) * 2);
+    return cellgeo;
+}
 
-    mesh.position.set(meshX, 0, meshY);
+/**
+ * Get the greedy meshing version of an atlas material. Uvs are wrapped into the atlas cell given by the
+ * atlasTile attribute before the map, roughness and metalness lookups so merged quads repeat their texture.
+ * @param {Material} material - The atlas material.
+ * @returns {Material} A patched clone, cached on the original material.
+ */
+function getGreedyAtlasMaterial(material) {
+    if(material.userData.greedyMaterial) {
+        return material.userData.greedyMaterial;
+    }
 
-    mesh.receiveShadow = true;
+    const uniforms = material.atlasUniforms;
+    const greedyMaterial = material.clone();
 
-    if(castShadow != undefined) {
-        mesh.castShadow = castShadow;
-    } else {
-        mesh.castShadow = true;
+    greedyMaterial.atlasUniforms = uniforms;
+
+    greedyMaterial.onBeforeCompile = function(shader) {
+        patchAtlasShader(shader, uniforms, true);
+    };
+
+    greedyMaterial.customProgramCacheKey = function() {
+        return "greedyAtlas";
+    };
+
+    material.userData.greedyMaterial = greedyMaterial;
+
+    return greedyMaterial;
+}
+
+function toFloat32Array(arr) {
+    if(arr instanceof Float32Array) {
+        return arr;
     }
 
-    return mesh;
+    return new Float32Array(arr);
+}
+
+function finishLegacyChunk(instance, data, job, result, material, waterMaterial) {
+    let rOrder = "0";
+
+    if(data.rOrder) {
+        rOrder = data.rOrder;
+    }
+
+    const mesh = createLegacyChunkMesh(result.positions, result.normals, result.uvs, result.indices, data.x, data.y, instance.chunkSize, data.castShadow, material, result.fixedNormals);
+
+    // greedy quads carry tile counts in their uvs, the atlas cell comes from a per vertex attribute
+    if(result.atlasTiles) {
+        mesh.geometry.setAttribute("atlasTile", new BufferAttribute(toFloat32Array(result.atlasTiles), 2));
+        mesh.material = getGreedyAtlasMaterial(mesh.material);
+    }
+    const chunkId = data.x + ":" + data.y + ":" + rOrder;
+
+    // Apply per-material shadow bias for chunks to fix seam artifacts
+    applyChunkShadowBias(mesh, instance);
+
+    instance.removeChunk(data.x, data.y, rOrder, 500);
+
+    instance.chunks[chunkId] = mesh;
+    mesh.renderOrder = 0;
+    mesh.userData.chunkData = data;
+
+    // kept so updateChunkTiles can patch the chunk later, per column results are only made on the first update
+    instance.chunkRecords[chunkId] = {
+        data: data,
+        job: job,
+        material: material,
+        waterMaterial: waterMaterial,
+        columns: null,
+        atlasIndices: retainAtlasIndices(getJobAtlasIndices(job))
+    };
+
+    if(result.hasWater) {
+        addLegacyChunkWaterMesh(instance, data, chunkId, result, waterMaterial || material);
+    }
+
+    instance.scene.add(mesh);
+    instance.hitTestObjects.push(mesh);
+
+    refreshChunkLod(instance, chunkId, instance.chunkRecords[chunkId]);
+    onChunkMeshUpdated(instance, chunkId);
+
+    clearAllParticleSystems(instance);
+}
+
+function addLegacyChunkWaterMesh(instance, data, chunkId, result, material) {
+    const wMesh = createLegacyChunkMesh(result.waterPositions, result.waterNormals, result.waterUvs, result.waterIndices, data.x, data.y, instance.chunkSize, false, material);
+
+    if(wMesh) {
+        instance.chunks[chunkId + "w"] = wMesh;
+        wMesh.renderOrder = 1;
+        wMesh.userData.chunkData = data;
+        wMesh.receiveShadow = false;
+
+        instance.scene.add(wMesh);
+        instance.hitTestObjects.push(wMesh);
+    }
+}
+
+// swap new geometry into a chunk's existing meshes, adding or dropping its water mesh as needed
+function patchLegacyChunk(instance, chunkId, record, result) {
+    const mesh = instance.chunks[chunkId];
+
+    if(!mesh) {
+        return;
+    }
+
+    const geometry = createLegacyChunkGeometry(result.positions, result.normals, result.uvs, result.indices, result.fixedNormals);
+
+    let material = record.material;
+
+    if(result.atlasTiles) {
+        geometry.setAttribute("atlasTile", new BufferAttribute(toFloat32Array(result.atlasTiles), 2));
+        material = getGreedyAtlasMaterial(material);
+    }
+
+    // baked ambient occlusion of canvas chunks
+    if(result.colors) {
+        geometry.setAttribute("color", new BufferAttribute(toFloat32Array(result.colors), 3));
+    }
+
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+    mesh.material = material;
+
+    const waterMaterial = record.waterMaterial || record.material;
+    const wMesh = instance.chunks[chunkId + "w"];
+
+    if(wMesh && result.hasWater) {
+        wMesh.geometry.dispose();
+        wMesh.geometry = createLegacyChunkGeometry(result.waterPositions, result.waterNormals, result.waterUvs, result.waterIndices);
+        wMesh.material = waterMaterial;
+    } else if(wMesh) {
+        removeFromArray(instance.hitTestObjects, wMesh);
+        removeObjectFromThree(instance, wMesh, true);
+        delete instance.chunks[chunkId + "w"];
+    } else if(result.hasWater) {
+        addLegacyChunkWaterMesh(instance, record.data, chunkId, result, waterMaterial);
+    }
+
+    onChunkMeshUpdated(instance, chunkId);
+}
+
+/**
+ * Work out what tile changes turn a chunk's tiles into, the grid itself is left alone.
+ * @param {Array} grid - The chunk's data grid.
+ * @param {Array} changes - [{tx, ty, ...tileProps}], clear: true empties the tile.
+ * @returns {Array} [{tx, ty, obj, merge}] of every tile that changes, obj is the tile it becomes or null,
+ * merge is set when the tile there now takes on obj's props instead of being replaced.
+ */
+function getChunkTileChanges(grid, changes) {
+    const changed = new Map();
+
+    for(const change of changes) {
+        const tx = change.tx;
+        const ty = change.ty;
+
+        if(!grid[tx] || ty < 0 || ty >= grid[tx].length) {
+            continue;
+        }
+
+        const key = tx + ":" + ty;
+
+        // a tile changed twice in one go builds on its first change
+        const prev = changed.get(key);
+        const current = prev ? prev.obj : grid[tx][ty];
+
+        let obj = null;
+
+        if(!change.clear) {
+            const props = Object.assign({}, change);
+
+            delete props.tx;
+            delete props.ty;
+
+            obj = Object.assign({}, current, props);
+        }
+
+        changed.set(key, {
+            tx: tx,
+            ty: ty,
+            obj: obj,
+            merge: !!obj && (prev ? prev.merge : !!current)
+        });
+    }
+
+    return Array.from(changed.values());
+}
+
+/**
+ * Put tile changes from getChunkTileChanges into a chunk's data grid.
+ * @param {Array} grid - The chunk's data grid.
+ * @param {Array} changed - [{tx, ty, obj, merge}] from getChunkTileChanges.
+ */
+function applyChunkTileChanges(grid, changed) {
+    for(const change of changed) {
+        if(change.merge) {
+            Object.assign(grid[change.tx][change.ty], change.obj);
+        } else {
+            grid[change.tx][change.ty] = change.obj;
+        }
+    }
+}
+
+// atlas tiles for changed chunk tiles, null while a texture is still loading
+function resolveChangedChunkTiles(instance, data, changed) {
+    const defs = getChunkDefaultTextures(instance, data);
+
+    if(!defs) {
+        return null;
+    }
+
+    const tiles = [];
+
+    for(const change of changed) {
+        let tile = null;
+
+        if(change.obj) {
+            tile = resolveChunkTile(instance, change.obj, data, defs, change.tx, change.ty);
+
+            if(!tile) {
+                return null;
+            }
+        }
+
+        tiles.push(tile);
+    }
+
+    return tiles;
+}
+
+// resolve changed tiles again a little later from the chunk's data as it is then, so a newer change to them wins
+function retryChunkTiles(instance, chunkId, data, cells) {
+    setTimeout(function() {
+        const record = instance.chunkRecords[chunkId];
+        const pending = chunkMeshJobs[instance.id + ":" + chunkId];
+
+        // removed or built from other data since, a build resolves every tile anyway
+        if(pending ? pending.data != data : !record || !record.job || record.data != data) {
+            return;
+        }
+
+        const changed = cells.map(cell => ({ tx: cell[0], ty: cell[1], obj: data.data[cell[0]][cell[1]] }));
+        const resolved = resolveChangedChunkTiles(instance, data, changed);
+
+        if(!resolved) {
+            retryChunkTiles(instance, chunkId, data, cells);
+            return;
+        }
+
+        patchChunkJobTiles(instance, chunkId, changed, resolved);
+    }, 200);
+}
+
+/**
+ * Write resolved tiles into a chunk's job and patch the chunk's geometry with them.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {string} chunkId - The chunk id.
+ * @param {Array} changed - [{tx, ty}] of the changed tiles.
+ * @param {Array} resolved - the atlas tile of each changed tile, from resolveChangedChunkTiles.
+ */
+function patchChunkJobTiles(instance, chunkId, changed, resolved) {
+    const record = instance.chunkRecords[chunkId];
+    const pending = chunkMeshJobs[instance.id + ":" + chunkId];
+    const job = pending ? pending.job : record.job;
+
+    changed.forEach(function(change, i) {
+        job.tiles[change.tx][change.ty] = resolved[i];
+    });
+
+    // a queued job meshes the new tiles anyway, one already in a worker goes round again
+    if(pending) {
+        if(!chunkMeshQueue.includes(pending)) {
+            pending.stale = true;
+        }
+
+        return;
+    }
+
+    // textures the chunk stopped using can be freed, new ones are held
+    const atlasIndices = retainAtlasIndices(getJobAtlasIndices(job));
+
+    releaseAtlasIndices(record.atlasIndices);
+    record.atlasIndices = atlasIndices;
+
+    // neighbours loaded or changed since decide the border faces, edge columns are meshed again with them
+    const edgeCells = refreshChunkJobEdges(instance, record);
+
+    // an atlas laid out again moves every uv, so the whole chunk goes over to the current atlas
+    const atlasChanged = record.material != curAtlasMaterial;
+
+    if(atlasChanged) {
+        job.atlasPageCells = getAtlasPageCells();
+        record.material = curAtlasMaterial;
+        record.waterMaterial = curAtlasWaterMaterial;
+        record.columns = null;
+    }
+
+    const cells = edgeCells.slice();
+
+    for(const change of changed) {
+        const tx = change.tx;
+        const ty = change.ty;
+
+        cells.push([tx, ty], [tx - 1, ty], [tx + 1, ty], [tx, ty - 1], [tx, ty + 1]);
+    }
+
+    patchLegacyChunk(instance, chunkId, record, meshChunkRecordColumns(record, cells));
+    resetChunkLods(instance, chunkId, record);
+    refreshChunkLod(instance, chunkId, record);
+}
+
+/**
+ * Queue a legacy chunk for meshing in the worker pool.
+ * The atlas materials are captured now so the uvs match the atlas size the job was built against.
+ * @returns {boolean} false if workers are not available and the chunk should be meshed inline
+ */
+function queueChunkMeshJob(instance, data, job) {
+    if(chunkMeshWorkersFailed || typeof Worker == "undefined") {
+        return false;
+    }
+
+    let rOrder = "0";
+
+    if(data.rOrder) {
+        rOrder = data.rOrder;
+    }
+
+    const chunkId = data.x + ":" + data.y + ":" + rOrder;
+
+    // a newer build of the same chunk replaces any pending one
+    cancelChunkMeshJob(instance, chunkId);
+
+    chunkMeshJobCtr++;
+
+    const meshJob = {
+        id: chunkMeshJobCtr,
+        key: instance.id + ":" + chunkId,
+        instance: instance,
+        data: data,
+        job: job,
+        material: curAtlasMaterial,
+        waterMaterial: curAtlasWaterMaterial,
+        stale: false,
+        cancelled: false
+    };
+
+    chunkMeshJobs[meshJob.key] = meshJob;
+    chunkMeshQueue.push(meshJob);
+
+    runChunkMeshQueue();
+
+    return true;
+}
+
+function cancelChunkMeshJob(instance, chunkId) {
+    const key = instance.id + ":" + chunkId;
+    const meshJob = chunkMeshJobs[key];
+
+    if(!meshJob) {
+        return;
+    }
+
+    // jobs already in a worker finish there, the result is just dropped
+    meshJob.cancelled = true;
+
+    delete chunkMeshJobs[key];
+    removeFromArray(chunkMeshQueue, meshJob);
+}
+
+function cancelAllChunkMeshJobs(instance) {
+    for(let key in chunkMeshJobs) {
+        const meshJob = chunkMeshJobs[key];
+
+        if(meshJob.instance == instance) {
+            meshJob.cancelled = true;
+
+            delete chunkMeshJobs[key];
+            removeFromArray(chunkMeshQueue, meshJob);
+        }
+    }
+}
+
+function getChunkMeshJobDistance(meshJob) {
+    return getChunkDistance(meshJob.instance, meshJob.data);
+}
+
+// distance in tiles from the center position to the middle of a chunk
+function getChunkDistance(instance, data) {
+    const half = instance.chunkSize / 2;
+
+    return distBetweenPoints(
+        data.x * instance.chunkSize + half,
+        data.y * instance.chunkSize + half,
+        instance.centerPosition.x,
+        instance.centerPosition.y
+    );
+}
+
+function updateChunkLods(instance, t) {
+    if(!instance.chunkLod) {
+        return;
+    }
+
+    if(instance.lastChunkLodUpdate != null && t - instance.lastChunkLodUpdate < CHUNK_LOD_INTERVAL) {
+        return;
+    }
+
+    instance.lastChunkLodUpdate = t;
+
+    let builds = 0;
+
+    for(const chunkId in instance.chunkRecords) {
+        const record = instance.chunkRecords[chunkId];
+        const level = getChunkLodLevel(instance, record);
+
+        if(level == (record.lodLevel || 0)) {
+            continue;
+        }
+
+        // spread the far mesh builds over several updates
+        if(level > 0 && !(record.lods && record.lods[level])) {
+            if(builds >= CHUNK_LOD_BUILDS_PER_UPDATE) {
+                continue;
+            }
+
+            builds++;
+
+            if(!buildChunkLod(instance, record, level)) {
+                continue;
+            }
+        }
+
+        showChunkLod(instance, chunkId, record, level);
+    }
+}
+
+function updateChunkStreaming(instance, t) {
+    const streamer = instance.chunkStreamer;
+
+    if(!streamer) {
+        return;
+    }
+
+    const centerX = instance.centerPosition.x / instance.chunkSize - 0.5;
+    const centerY = instance.centerPosition.y / instance.chunkSize - 0.5;
+    const radii = getStreamRadii(instance, streamer);
+
+    // a new center chunk or zoom doesn't wait for the interval, so zooming out fills in right away
+    const view = Math.round(centerX) + ":" + Math.round(centerY) + ":" + radii.load + ":" + radii.unload;
+
+    if(view == streamer.lastView && streamer.lastUpdate != null && t - streamer.lastUpdate < CHUNK_STREAM_INTERVAL) {
+        return;
+    }
+
+    streamer.lastUpdate = t;
+    streamer.lastView = view;
+
+    for(const key in streamer.loaded) {
+        const data = streamer.loaded[key];
+
+        if(distBetweenPoints(data.x, data.y, centerX, centerY) > radii.unload) {
+            instance.removeChunk(data.x, data.y, data.rOrder);
+            delete streamer.loaded[key];
+        }
+    }
+
+    for(const key in streamer.evicted) {
+        const spot = streamer.evicted[key];
+
+        if(distBetweenPoints(spot.x, spot.y, centerX, centerY) > radii.unload) {
+            delete streamer.evicted[key];
+        }
+    }
+
+    const frustum = getCameraFrustum(instance);
+
+    const wanted = [];
+    const radius = Math.ceil(radii.load);
+
+    for(let cx = Math.round(centerX) - radius; cx <= Math.round(centerX) + radius; cx++) {
+        for(let cy = Math.round(centerY) - radius; cy <= Math.round(centerY) + radius; cy++) {
+            const key = cx + ":" + cy;
+            const distance = distBetweenPoints(cx, cy, centerX, centerY);
+
+            if(distance > radii.load || streamer.loaded[key] || streamer.pending[key]) {
+                continue;
+            }
+
+            if(streamer.failed[key] && performance.now() - streamer.failed[key] < CHUNK_STREAM_RETRY_DELAY) {
+                continue;
+            }
+
+            // chunks evicted for the memory budget only come back once they are in view again
+            if(streamer.evicted[key]) {
+                if(!isChunkInView(instance, frustum, cx, cy, null)) {
+                    continue;
+                }
+
+                delete streamer.evicted[key];
+            }
+
+            wanted.push({ cx: cx, cy: cy, key: key, distance: distance });
+        }
+    }
+
+    wanted.sort((a, b) => a.distance - b.distance);
+
+    for(const chunk of wanted) {
+        if(streamer.cache.has(chunk.key)) {
+            const data = streamer.cache.get(chunk.key);
+
+            // keep the cache in least recently used order
+            streamer.cache.delete(chunk.key);
+            streamer.cache.set(chunk.key, data);
+
+            if(data) {
+                instance.addChunk(data);
+                streamer.loaded[chunk.key] = data;
+            }
+
+            continue;
+        }
+
+        if(streamer.active >= streamer.concurrency) {
+            continue;
+        }
+
+        requestStreamedChunk(instance, streamer, chunk.cx, chunk.cy, chunk.key);
+    }
+}
+
+// the radii are for the default zoom, zoomed further out the camera sees more chunks and they grow with it
+function getStreamRadii(instance, streamer) {
+    const scale = Math.max(1, instance.radius / DEF_RADIUS);
+
+    return {
+        load: streamer.loadRadius * scale,
+        unload: streamer.unloadRadius * scale
+    };
+}
+
+function requestStreamedChunk(instance, streamer, cx, cy, key) {
+    streamer.pending[key] = true;
+    streamer.active++;
+
+    Promise.resolve().then(function() {
+        return streamer.provider(cx, cy);
+    }).then(function(data) {
+        streamer.active--;
+        delete streamer.pending[key];
+        delete streamer.failed[key];
+
+        if(data) {
+            if(data.x == undefined) {
+                data.x = cx;
+            }
+
+            if(data.y == undefined) {
+                data.y = cy;
+            }
+        }
+
+        streamer.cache.set(key, data || null);
+
+        while(streamer.cache.size > streamer.cacheSize) {
+            streamer.cache.delete(streamer.cache.keys().next().value);
+        }
+
+        // streaming was stopped or replaced while the provider was working
+        if(instance.chunkStreamer != streamer || !data) {
+            return;
+        }
+
+        const centerX = instance.centerPosition.x / instance.chunkSize - 0.5;
+        const centerY = instance.centerPosition.y / instance.chunkSize - 0.5;
+
+        if(distBetweenPoints(cx, cy, centerX, centerY) > getStreamRadii(instance, streamer).unload) {
+            return;
+        }
+
+        instance.addChunk(data);
+        streamer.loaded[key] = data;
+    }, function(err) {
+        streamer.active--;
+        delete streamer.pending[key];
+        streamer.failed[key] = performance.now();
+
+        console.warn("Chunk provider failed for chunk " + key, err);
+    });
+}
+
+function stopChunkStreaming(instance) {
+    const streamer = instance.chunkStreamer;
+
+    if(!streamer) {
+        return;
+    }
+
+    instance.chunkStreamer = null;
+
+    for(const key in streamer.loaded) {
+        const data = streamer.loaded[key];
+
+        instance.removeChunk(data.x, data.y, data.rOrder);
+    }
+}
+
+function createTileOverlay(size) {
+    const colors = new DataTexture(new Uint8Array(size * size * 4), size, size);
+    colors.colorSpace = USE_COLORSPACE;
+    colors.needsUpdate = true;
+
+    const styles = new DataTexture(new Uint8Array(size * size), size, size, RedFormat);
+    styles.needsUpdate = true;
+
+    return {
+        colors: colors,
+        styles: styles,
+        count: 0,
+        materials: new Map(),
+        uniforms: {
+            overlayColors: { value: colors },
+            overlayStyles: { value: styles },
+            overlayTime: tileOverlayTime
+        }
+    };
+}
+
+// write one tile into its chunk's overlay, returns the chunk id or null if there was nothing to clear
+function setTileOverlayTexel(instance, tile) {
+    const size = instance.chunkSize;
+    const tx = Math.round(tile.tx);
+    const ty = Math.round(tile.ty);
+    const cx = Math.floor(tx / size);
+    const cy = Math.floor(ty / size);
+    const rOrder = tile.rOrder == undefined ? "0" : String(tile.rOrder);
+    const chunkId = cx + ":" + cy + ":" + rOrder;
+    const clear = tile.color == null || tile.alpha === 0;
+
+    let overlay = instance.tileOverlays[chunkId];
+
+    if(!overlay) {
+        if(clear) {
+            return null;
+        }
+
+        overlay = createTileOverlay(size);
+        instance.tileOverlays[chunkId] = overlay;
+    }
+
+    const idx = (ty - cy * size) * size + (tx - cx * size);
+    const colors = overlay.colors.image.data;
+    const wasSet = colors[idx * 4 + 3] > 0;
+
+    if(clear) {
+        colors.fill(0, idx * 4, idx * 4 + 4);
+        overlay.styles.image.data[idx] = 0;
+    } else {
+        const hex = new Color(tile.color).getHex();
+        const alpha = tile.alpha == undefined ? 1 : Math.min(Math.max(tile.alpha, 0), 1);
+
+        colors[idx * 4] = (hex >> 16) & 255;
+        colors[idx * 4 + 1] = (hex >> 8) & 255;
+        colors[idx * 4 + 2] = hex & 255;
+        colors[idx * 4 + 3] = Math.max(1, Math.round(alpha * 255));
+
+        overlay.styles.image.data[idx] = Math.max(0, TILE_OVERLAY_STYLES.indexOf(tile.style));
+    }
+
+    overlay.count += (clear ? 0 : 1) - (wasSet ? 1 : 0);
+
+    return chunkId;
+}
+
+function refreshTileOverlay(instance, chunkId) {
+    const overlay = instance.tileOverlays[chunkId];
+
+    if(!overlay) {
+        return;
+    }
+
+    if(!overlay.count) {
+        disposeTileOverlay(instance, chunkId);
+        return;
+    }
+
+    overlay.colors.needsUpdate = true;
+    overlay.styles.needsUpdate = true;
+
+    applyTileOverlay(instance, chunkId);
+}
+
+function disposeTileOverlay(instance, chunkId) {
+    const overlay = instance.tileOverlays[chunkId];
+
+    if(!overlay) {
+        return;
+    }
+
+    delete instance.tileOverlays[chunkId];
+
+    // meshes go back to their own materials before the overlay versions are freed
+    applyTileOverlay(instance, chunkId);
+
+    for(const material of overlay.materials.values()) {
+        material.dispose();
+    }
+
+    overlay.colors.dispose();
+    overlay.styles.dispose();
+}
+
+// the full detail mesh and any far meshes, water surfaces aren't tinted
+function getTileOverlayMeshes(instance, chunkId) {
+    const meshes = [];
+    const record = instance.chunkRecords[chunkId];
+
+    if(instance.chunks[chunkId]) {
+        meshes.push(instance.chunks[chunkId]);
+    }
+
+    if(record) {
+        for(const lodLevel in record.lods) {
+            meshes.push(record.lods[lodLevel].mesh);
+        }
+    }
+
+    return meshes;
+}
+
+// put a chunk's meshes on the overlay versions of their materials, or back on their own without an overlay
+function applyTileOverlay(instance, chunkId) {
+    const overlay = instance.tileOverlays[chunkId];
+
+    for(const mesh of getTileOverlayMeshes(instance, chunkId)) {
+        mesh.material = getTileOverlayMaterial(mesh.material, overlay);
+    }
+
+    pruneTileOverlayMaterials(instance, chunkId);
+}
+
+// overlay versions of materials the chunk's meshes no longer use, after a rebuild or removal
+function pruneTileOverlayMaterials(instance, chunkId) {
+    const overlay = instance.tileOverlays[chunkId];
+
+    if(!overlay) {
+        return;
+    }
+
+    const used = getTileOverlayMeshes(instance, chunkId).map(mesh => mesh.material);
+
+    for(const [base, material] of overlay.materials) {
+        if(!used.includes(material)) {
+            material.dispose();
+            overlay.materials.delete(base);
+        }
+    }
+}
+
+/**
+ * Get the tile overlay version of a chunk material. It runs the material's own shader patch first,
+ * so atlas, greedy and canvas chunk materials all take an overlay the same way.
+ * @param {Material} material - the chunk material, or an overlay version of it
+ * @param {object} overlay - the chunk's tile overlay, null gives back the plain material
+ * @returns {Material} the overlay version, cached on the overlay
+ */
+function getTileOverlayMaterial(material, overlay) {
+    const base = material.overlayBase || material;
+
+    if(!overlay) {
+        return base;
+    }
+
+    let overlayMaterial = overlay.materials.get(base);
+
+    if(!overlayMaterial) {
+        overlayMaterial = base.clone();
+        overlayMaterial.userData = {};
+        overlayMaterial.atlasUniforms = base.atlasUniforms;
+        overlayMaterial.overlayBase = base;
+
+        overlayMaterial.onBeforeCompile = function(shader, renderer) {
+            base.onBeforeCompile(shader, renderer);
+            patchTileOverlayShader(shader, overlay.uniforms);
+        };
+
+        overlayMaterial.customProgramCacheKey = function() {
+            return base.customProgramCacheKey() + ":tileOverlay";
+        };
+
+        overlay.materials.set(base, overlayMaterial);
+    }
+
+    return overlayMaterial;
+}
+
+// tiles come from the chunk space position, pulled in against the normal so side faces tint the column they belong to
+function patchTileOverlayShader(shader, uniforms) {
+    shader.uniforms.overlayColors = uniforms.overlayColors;
+    shader.uniforms.overlayStyles = uniforms.overlayStyles;
+    shader.uniforms.overlayTime = uniforms.overlayTime;
+
+    shader.vertexShader = shader.vertexShader
+        .replace("#include <common>", "#include <common>\nvarying vec2 vOverlayTile;")
+        .replace("#include <begin_vertex>", "#include <begin_vertex>\nvOverlayTile = (position.xz - normal.xz * 0.01) * 0.5;");
+
+    shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", [
+            "#include <common>",
+            "uniform sampler2D overlayColors;",
+            "uniform sampler2D overlayStyles;",
+            "uniform float overlayTime;",
+            "varying vec2 vOverlayTile;"
+        ].join("\n"))
+        .replace("#include <color_fragment>", [
+            "ivec2 overlayTexel = clamp(ivec2(floor(vOverlayTile)), ivec2(0), textureSize(overlayColors, 0) - 1);",
+            "vec4 overlayColor = texelFetch(overlayColors, overlayTexel, 0);",
+            "float overlayStyle = floor(texelFetch(overlayStyles, overlayTexel, 0).r * 255.0 + 0.5);",
+            "if(overlayStyle == 1.0) {",
+            "overlayColor.a *= 0.6 + 0.4 * sin(overlayTime * 4.0);",
+            "} else if(overlayStyle == 2.0) {",
+            "overlayColor.a *= step(0.5, fract((vOverlayTile.x + vOverlayTile.y) * 2.0));",
+            "}",
+            "diffuseColor.rgb = mix(diffuseColor.rgb, overlayColor.rgb, overlayColor.a);",
+            "#include <color_fragment>"
+        ].join("\n"));
+}
+
+function createFogOfWar(instance, options) {
+    const x = Math.round(options.x || 0);
+    const y = Math.round(options.y || 0);
+    const width = Math.max(1, Math.round(options.width || 1));
+    const height = Math.max(1, Math.round(options.height || 1));
+    const hex = new Color(options.color || DEF_FOG_COLOR).getHex();
+    const data = new Uint8Array(width * height * 4);
+
+    for(let i = 0; i < width * height; i++) {
+        data[i * 4] = (hex >> 16) & 255;
+        data[i * 4 + 1] = (hex >> 8) & 255;
+        data[i * 4 + 2] = hex & 255;
+        data[i * 4 + 3] = 255;
+    }
+
+    // linear filtering blends neighbouring tiles, which gives the soft edges between fog states
+    const texture = new DataTexture(data, width, height);
+    texture.colorSpace = USE_COLORSPACE;
+    texture.magFilter = LinearFilter;
+    texture.minFilter = LinearFilter;
+
+    // rows only go up on their own once the whole texture has
+    texture.userData.uploaded = false;
+    texture.onUpdate = function() {
+        texture.userData.uploaded = true;
+    };
+
+    texture.needsUpdate = true;
+
+    const mesh = new Mesh(new PlaneGeometry(width * 2, height * 2), new MeshBasicMaterial({
+        map: texture,
+        side: DoubleSide,
+        transparent: true,
+        depthWrite: false
+    }));
+
+    // laid out like fogofwar objects, texture rows run along y
+    mesh.rotation.set(MathUtils.degToRad(90), 0, 0);
+    mesh.position.set(x * 2 + width, (options.z || 0) * 2, y * 2 + height);
+    mesh.renderOrder = 2;
+
+    instance.scene.add(mesh);
+
+    return {
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+        exploredOpacity: options.exploredOpacity == undefined ? DEF_FOG_EXPLORED_OPACITY : options.exploredOpacity,
+        softness: options.softness == undefined ? DEF_FOG_SOFTNESS : options.softness,
+        hideObjects: options.hideObjects === true,
+        visibility: new Uint8Array(width * height),
+        explored: new Uint8Array(width * height),
+        texture: texture,
+        mesh: mesh,
+        dirty: null,
+        // true re-checks every object, otherwise a box of fog tiles like dirty
+        objectsDirty: options.hideObjects === true ? true : null
+    };
+}
+
+function disposeFogOfWar(instance) {
+    const fog = instance.fogOfWar;
+
+    if(!fog) {
+        return;
+    }
+
+    instance.fogOfWar = null;
+
+    removeObjectFromThree(instance, fog.mesh, true);
+    fog.texture.dispose();
+
+    for(const id in instance.objects) {
+        setObjectFogHidden(instance.objects[id], false);
+    }
+
+    instance.shouldRender = true;
+}
+
+// grow the box of fog tiles to work out again by a source's sight, bounds are {x, y, radius} in world tiles
+function markFogDirty(fog, bounds) {
+    const minX = Math.floor(bounds.x - bounds.radius) - fog.x;
+    const minY = Math.floor(bounds.y - bounds.radius) - fog.y;
+    const maxX = Math.ceil(bounds.x + bounds.radius) - fog.x;
+    const maxY = Math.ceil(bounds.y + bounds.radius) - fog.y;
+
+    if(!fog.dirty) {
+        fog.dirty = { minX: minX, minY: minY, maxX: maxX, maxY: maxY };
+        return;
+    }
+
+    fog.dirty.minX = Math.min(fog.dirty.minX, minX);
+    fog.dirty.minY = Math.min(fog.dirty.minY, minY);
+    fog.dirty.maxX = Math.max(fog.dirty.maxX, maxX);
+    fog.dirty.maxY = Math.max(fog.dirty.maxY, maxY);
+}
+
+function updateFogOfWar(instance) {
+    const fog = instance.fogOfWar;
+
+    if(!fog) {
+        return;
+    }
+
+    const sources = [];
+
+    // sources are matched on where they stand and how far they see, ones that haven't changed leave the fog alone
+    for(const id in instance.visionSources) {
+        const source = instance.visionSources[id];
+        const obj = instance.objects[id];
+
+        let bounds = null;
+
+        if(obj && !obj.isDisposed && source.radius > 0) {
+            bounds = {
+                x: obj.x + obj.width / 2,
+                y: obj.y + obj.height / 2,
+                radius: source.radius
+            };
+
+            sources.push(bounds);
+        }
+
+        const key = bounds ? bounds.x + ":" + bounds.y + ":" + bounds.radius : "";
+
+        if(key === source.key) {
+            continue;
+        }
+
+        if(source.bounds) {
+            markFogDirty(fog, source.bounds);
+        }
+
+        if(bounds) {
+            markFogDirty(fog, bounds);
+        }
+
+        source.key = key;
+        source.bounds = bounds;
+    }
+
+    if(fog.dirty) {
+        updateFogTiles(fog, sources);
+        instance.shouldRender = true;
+    }
+
+    if(fog.objectsDirty) {
+        const box = fog.objectsDirty;
+
+        fog.objectsDirty = null;
+
+        // only objects on tiles that changed can have come into or gone out of sight
+        for(const id in instance.objects) {
+            const obj = instance.objects[id];
+            const tx = Math.floor(obj.x + obj.width / 2) - fog.x;
+            const ty = Math.floor(obj.y + obj.height / 2) - fog.y;
+
+            if(box === true || (tx >= box.minX && tx <= box.maxX && ty >= box.minY && ty <= box.maxY)) {
+                refreshObjectFog(instance, obj);
+            }
+        }
+    }
+}
+
+// work the dirty box out again from every source in reach of it, only the changed stretch of each row is uploaded
+function updateFogTiles(fog, sources) {
+    const dirty = fog.dirty;
+
+    fog.dirty = null;
+
+    const minX = Math.max(dirty.minX, 0);
+    const minY = Math.max(dirty.minY, 0);
+    const maxX = Math.min(dirty.maxX, fog.width - 1);
+    const maxY = Math.min(dirty.maxY, fog.height - 1);
+
+    const reaching = sources.filter(function(source) {
+        return source.x + source.radius >= fog.x + minX && source.x - source.radius <= fog.x + maxX + 1 &&
+            source.y + source.radius >= fog.y + minY && source.y - source.radius <= fog.y + maxY + 1;
+    });
+
+    const data = fog.texture.image.data;
+
+    let changed = null;
+
+    for(let ty = minY; ty <= maxY; ty++) {
+        let rowStart = -1;
+        let rowEnd = -1;
+
+        for(let tx = minX; tx <= maxX; tx++) {
+            const cx = fog.x + tx + 0.5;
+            const cy = fog.y + ty + 0.5;
+
+            let sight = 0;
+
+            for(const source of reaching) {
+                const dist = Math.hypot(cx - source.x, cy - source.y);
+
+                if(fog.softness > 0) {
+                    sight = Math.max(sight, Math.min(Math.max((source.radius - dist) / fog.softness, 0), 1));
+                } else if(dist <= source.radius) {
+                    sight = 1;
+                }
+            }
+
+            const idx = ty * fog.width + tx;
+            const shade = Math.round(sight * 255);
+
+            if(shade == fog.visibility[idx]) {
+                continue;
+            }
+
+            fog.visibility[idx] = shade;
+
+            if(shade > 0) {
+                fog.explored[idx] = 1;
+            }
+
+            const cover = fog.explored[idx] ? fog.exploredOpacity : 1;
+
+            data[idx * 4 + 3] = Math.round(cover * (255 - shade));
+
+            if(rowStart < 0) {
+                rowStart = tx;
+            }
+
+            rowEnd = tx;
+        }
+
+        if(rowStart < 0) {
+            continue;
+        }
+
+        if(!changed) {
+            changed = { minX: rowStart, minY: ty, maxX: rowEnd, maxY: ty };
+        }
+
+        changed.minX = Math.min(changed.minX, rowStart);
+        changed.maxX = Math.max(changed.maxX, rowEnd);
+        changed.maxY = ty;
+
+        if(fog.texture.userData.uploaded) {
+            fog.texture.addUpdateRange((ty * fog.width + rowStart) * 4, (rowEnd - rowStart + 1) * 4);
+        }
+    }
+
+    if(changed) {
+        fog.texture.needsUpdate = true;
+    }
+
+    if(changed && fog.hideObjects && fog.objectsDirty !== true) {
+        const box = fog.objectsDirty;
+
+        fog.objectsDirty = box ? {
+            minX: Math.min(box.minX, changed.minX),
+            minY: Math.min(box.minY, changed.minY),
+            maxX: Math.max(box.maxX, changed.maxX),
+            maxY: Math.max(box.maxY, changed.maxY)
+        } : changed;
+    }
+}
+
+function getFogTileState(fog, x, y) {
+    if(!fog) {
+        return "visible";
+    }
+
+    const tx = Math.floor(x) - fog.x;
+    const ty = Math.floor(y) - fog.y;
+
+    if(tx < 0 || ty < 0 || tx >= fog.width || ty >= fog.height) {
+        return "visible";
+    }
+
+    const idx = ty * fog.width + tx;
+
+    if(fog.visibility[idx] > 0) {
+        return "visible";
+    }
+
+    return fog.explored[idx] ? "explored" : "unseen";
+}
+
+function refreshObjectFog(instance, obj) {
+    const fog = instance.fogOfWar;
+
+    let hidden = false;
+
+    if(fog && fog.hideObjects && obj.type != "fogofwar") {
+        hidden = getFogTileState(fog, obj.x + obj.width / 2, obj.y + obj.height / 2) != "visible";
+    }
+
+    setObjectFogHidden(obj, hidden);
+}
+
+// fog takes hidden objects off every layer and gives their layers back after, visible stays the game's own
+function setObjectFogHidden(obj, hidden) {
+    if(!obj || !obj.object || (!hidden && !obj.fogHidden)) {
+        return;
+    }
+
+    const changed = !!obj.fogHidden != hidden;
+
+    obj.fogHidden = hidden;
+
+    // instanced objects are drawn by their holder, it scales hidden ones away
+    if(obj.instanceParentId) {
+        const hold = obj.instance.vppInstances[obj.instanceParentId];
+
+        if(hold && changed) {
+            hold.changed = true;
+        }
+
+        return;
+    }
+
+    // parts added to a hidden object since it was hidden are taken off too
+    obj.object.traverse(function(child) {
+        if(hidden && child.userData.fogLayers == undefined) {
+            child.userData.fogLayers = child.layers.mask;
+            child.layers.disableAll();
+        }
+
+        if(!hidden && child.userData.fogLayers != undefined) {
+            child.layers.mask = child.userData.fogLayers;
+            delete child.userData.fogLayers;
+        }
+    });
+}
+
+function getDecalMaterial(src, opacity) {
+    if(!decalTextures[src]) {
+        decalTextures[src] = TEXTURE_LOADER.load(src);
+        decalTextures[src].colorSpace = USE_COLORSPACE;
+    }
+
+    let material = decalMaterialPool.pop();
+
+    if(!material) {
+        material = new MeshLambertMaterial({
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -4
+        });
+    }
+
+    material.map = decalTextures[src];
+    material.opacity = opacity;
+    material.needsUpdate = true;
+
+    return material;
+}
+
+// a decal texture is kept while any decal of any instance still uses it
+function releaseDecalTexture(src) {
+    for(const id in scrollInstances) {
+        for(const decalId in scrollInstances[id].decals) {
+            if(scrollInstances[id].decals[decalId].src == src) {
+                return;
+            }
+        }
+    }
+
+    if(decalTextures[src]) {
+        decalTextures[src].dispose();
+        delete decalTextures[src];
+    }
+}
+
+/**
+ * Project a decal onto the mesh a chunk currently shows, its full detail one or the far mesh of its
+ * LOD level, replacing whatever it had projected there before.
+ * @param {Scroll3dEngine} instance - the instance the chunk belongs to
+ * @param {object} decal - the decal from addDecal
+ * @param {string} chunkId - the chunk id
+ */
+function projectDecalOnChunk(instance, decal, chunkId) {
+    removeDecalPiece(instance, decal, chunkId);
+
+    const record = instance.chunkRecords[chunkId];
+
+    if(!record) {
+        return;
+    }
+
+    const lod = record.lods && record.lods[record.lodLevel];
+    const mesh = lod ? lod.mesh : instance.chunks[chunkId];
+
+    if(!mesh) {
+        return;
+    }
+
+    // footprint in tiles, rotated decals reach a bit further
+    const reach = decal.size * Math.SQRT1_2;
+    const minX = record.data.x * instance.chunkSize;
+    const minY = record.data.y * instance.chunkSize;
+
+    if(decal.x + 1 + reach < minX || decal.x - reach > minX + instance.chunkSize || decal.y + 1 + reach < minY || decal.y - reach > minY + instance.chunkSize) {
+        return;
+    }
+
+    mesh.updateMatrixWorld();
+
+    if(!mesh.geometry.boundingBox) {
+        mesh.geometry.computeBoundingBox();
+    }
+
+    let centerY = (mesh.geometry.boundingBox.min.y + mesh.geometry.boundingBox.max.y) / 2;
+    let depth = mesh.geometry.boundingBox.max.y - mesh.geometry.boundingBox.min.y + 2;
+
+    if(decal.z != undefined) {
+        centerY = decal.z * 2;
+        depth = DECAL_LEVEL_DEPTH;
+    }
+
+    // the projector looks straight down
+    const geometry = new DecalGeometry(
+        mesh,
+        new Vector3(decal.x * 2 + 1, centerY, decal.y * 2 + 1),
+        new Euler(-Math.PI / 2, decal.rot, 0, "YXZ"),
+        new Vector3(decal.size * 2, decal.size * 2, depth)
+    );
+
+    if(!geometry.attributes.position || geometry.attributes.position.count == 0) {
+        geometry.dispose();
+        return;
+    }
+
+    const piece = new Mesh(geometry, decal.material);
+    piece.renderOrder = 2;
+    piece.receiveShadow = true;
+
+    decal.pieces[chunkId] = piece;
+
+    instance.scene.add(piece);
+}
+
+function removeDecalPiece(instance, decal, chunkId) {
+    const piece = decal.pieces[chunkId];
+
+    if(!piece) {
+        return;
+    }
+
+    instance.scene.remove(piece);
+    piece.geometry.dispose();
+
+    delete decal.pieces[chunkId];
+}
+
+// a chunk got new geometry, decals over it are projected again and waiting deform events may go out
+function onChunkMeshUpdated(instance, chunkId) {
+    applyTileOverlay(instance, chunkId);
+    refreshChunkDecals(instance, chunkId);
+    stitchChunkNeighbors(instance, chunkId);
+
+    for(const deform of instance.pendingDeforms) {
+        removeFromArray(deform.chunks, chunkId);
+    }
+
+    firePendingDeforms(instance);
+}
+
+// a chunk removed before it was meshed again won't finish the deforms waiting on it, they go out without it
+function dropChunkFromDeforms(instance, chunkId) {
+    const waiting = instance.pendingDeforms.filter(deform => deform.chunks.includes(chunkId));
+
+    if(!waiting.length) {
+        return;
+    }
+
+    for(const deform of waiting) {
+        removeFromArray(deform.chunks, chunkId);
+    }
+
+    // rebuilds remove the chunk just before putting it back, the event waits until it's in
+    setTimeout(function() {
+        firePendingDeforms(instance);
+    }, 0);
+}
+
+function firePendingDeforms(instance) {
+    const done = instance.pendingDeforms.filter(deform => !deform.chunks.length);
+
+    for(const deform of done) {
+        removeFromArray(instance.pendingDeforms, deform);
+
+        if(instance.terrainDeformedFunction) {
+            instance.terrainDeformedFunction(deform.event);
+        }
+    }
+}
+
+// tiles from one end of a road to the other, diagonal steps first
+function getRoadPath(from, to) {
+    const path = [];
+
+    let x = Math.round(from.x);
+    let y = Math.round(from.y);
+
+    const endX = Math.round(to.x);
+    const endY = Math.round(to.y);
+
+    path.push([x, y]);
+
+    while(x != endX || y != endY) {
+        x += Math.sign(endX - x);
+        y += Math.sign(endY - y);
+
+        path.push([x, y]);
+    }
+
+    return path;
+}
+
+function getRoadDir(dx, dy) {
+    for(const dir in ROAD_DIRS) {
+        if(ROAD_DIRS[dir][0] == dx && ROAD_DIRS[dir][1] == dy) {
+            return dir;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Tell whether a pixel of a tile texture's noise grid is on a road, roads run from the middle of the
+ * tile out to the edge or corner of their direction.
+ * @param {object} road - {dir, width}, width is in noise pixels
+ * @param {number} x - pixel column
+ * @param {number} y - pixel row
+ * @param {number} noiseSize - pixels per tile side
+ * @returns {boolean} true when the road covers the pixel
+ */
+function isRoadPixel(road, x, y, noiseSize) {
+    const halfNoiseSize = Math.round(noiseSize / 2);
+    const halfRoadSize = Math.round(road.width / 2);
+
+    const acrossX = x > (halfNoiseSize - halfRoadSize) && x < (halfNoiseSize + halfRoadSize);
+    const acrossY = y > (halfNoiseSize - halfRoadSize) && y < (halfNoiseSize + halfRoadSize);
+    const onDiagonal = x > (y - halfRoadSize) && x <= (y + halfRoadSize);
+    const onAntiDiagonal = x > noiseSize - (y + halfRoadSize) && x <= noiseSize - (y - halfRoadSize);
+
+    if(road.dir == "e" || road.dir == "w") {
+        return acrossY && (road.dir == "e" ? x <= halfNoiseSize : x >= halfNoiseSize);
+    }
+
+    if(road.dir == "n" || road.dir == "s") {
+        return acrossX && (road.dir == "s" ? y <= halfNoiseSize : y >= halfNoiseSize);
+    }
+
+    if(road.dir == "nw" || road.dir == "se") {
+        return onDiagonal && (road.dir == "se" ? y <= halfNoiseSize : y >= halfNoiseSize);
+    }
+
+    if(road.dir == "ne" || road.dir == "sw") {
+        return onAntiDiagonal && (road.dir == "sw" ? y <= halfNoiseSize : y >= halfNoiseSize);
+    }
+
+    return false;
+}
+
+// paint roads over a tile in a canvas chunk, on the same pixel grid atlas tops get them on
+function drawCanvasTileRoads(ctx, roads, dx, dy, noiseSize) {
+    const partSize = useTextureSize / noiseSize;
+
+    for(let x = 0; x < noiseSize; x++) {
+        for(let y = 0; y < noiseSize; y++) {
+            for(const road of roads) {
+                if(isRoadPixel(road, x, y, noiseSize)) {
+                    ctx.fillStyle = road.color;
+                    ctx.fillRect(dx + x * partSize, dy + y * partSize, partSize, partSize);
+                }
+            }
+        }
+    }
+}
+
+// road graph entries for a chunk tile, null when no road crosses it
+function getGraphRoads(instance, data, tx, ty) {
+    if(tx == undefined || ty == undefined) {
+        return null;
+    }
+
+    const x = data.x * instance.chunkSize + tx;
+    const y = data.y * instance.chunkSize + ty;
+    const list = instance.roadTiles[x + ":" + y + ":" + (data.rOrder || "0")];
+
+    if(!list || !list.length) {
+        return null;
+    }
+
+    return list.map(entry => ({ dir: entry.dir, color: entry.color, width: entry.width }));
+}
+
+// rebuild the loaded chunk tiles a road runs over
+function refreshRoadTiles(instance, road) {
+    const chunkTiles = {};
+
+    for(const link of road.links) {
+        const chunkX = Math.floor(link.x / instance.chunkSize);
+        const chunkY = Math.floor(link.y / instance.chunkSize);
+        const chunkId = chunkX + ":" + chunkY + ":" + road.rOrder;
+        const data = getLoadedChunkData(instance, chunkId);
+
+        if(!data) {
+            continue;
+        }
+
+        const tx = link.x - chunkX * instance.chunkSize;
+        const ty = link.y - chunkY * instance.chunkSize;
+
+        // empty tiles stay empty
+        if(!data.data[tx] || !data.data[tx][ty]) {
+            continue;
+        }
+
+        if(!chunkTiles[chunkId]) {
+            chunkTiles[chunkId] = {
+                x: chunkX,
+                y: chunkY,
+                tiles: []
+            };
+        }
+
+        chunkTiles[chunkId].tiles.push({ tx: tx, ty: ty });
+    }
+
+    for(const chunkId in chunkTiles) {
+        const chunk = chunkTiles[chunkId];
+
+        instance.updateChunkTiles(chunk.x, chunk.y, chunk.tiles, road.rOrder);
+    }
+}
+
+// chunk data that's loaded or on its way, the same object the chunk is built from
+function getLoadedChunkData(instance, chunkId) {
+    const record = instance.chunkRecords[chunkId];
+
+    if(record) {
+        return record.data;
+    }
+
+    const pending = chunkMeshJobs[instance.id + ":" + chunkId];
+
+    if(pending) {
+        return pending.data;
+    }
+
+    return null;
+}
+
+/**
+ * Collect the tiles of the loaded neighbouring chunks that touch a chunk, so the mesher can tell which
+ * edge faces are hidden. Only what decides faces is kept: z, water, depression, slope and layer heights.
+ * @param {Scroll3dEngine} instance - The instance the chunk belongs to.
+ * @param {object} data - The chunk data.
+ * @returns {object} {xMin, xMax, zMin, zMax, diagonals}, a side is null while its neighbour isn't loaded.
+ */
+function getChunkEdges(instance, data) {
+    const size = data.data.length;
+    const rOrder = data.rOrder || "0";
+    const edges = { diagonals: {} };
+
+    const getNeighborGrid = function(dx, dy) {
+        const neighbor = getLoadedChunkData(instance, (data.x + dx) + ":" + (data.y + dy) + ":" + rOrder);
+
+        return neighbor && neighbor.data ? neighbor.data : null;
+    };
+
+    // the neighbour's row or column facing this chunk, dx/dy pick which end
+    const getEdgeTile = function(grid, dx, dy, i) {
+        const nx = dx < 0 ? grid.length - 1 : (dx > 0 ? 0 : i);
+        const column = grid[nx];
+
+        if(!column) {
+            return null;
+        }
+
+        const obj = column[dy < 0 ? column.length - 1 : (dy > 0 ? 0 : i)];
+
+        if(!obj) {
+            return null;
+        }
+
+        return {
+            z: obj.z,
+            isWater: !!obj.isWater,
+            isDepressed: obj.isDepressed,
+            slope: obj.slope,
+            layers: obj.layers && obj.layers.length ? obj.layers.map(layer => ({
+                from: layer.from || 0,
+                to: layer.to != undefined ? layer.to : (layer.from || 0),
+                isWater: false
+            })) : null
+        };
+    };
+
+    for(const side of CHUNK_EDGE_SIDES) {
+        const grid = getNeighborGrid(side.dx, side.dy);
+
+        if(!grid) {
+            edges[side.name] = null;
+            continue;
+        }
+
+        edges[side.name] = [];
+
+        for(let i = 0; i < size; i++) {
+            edges[side.name].push(getEdgeTile(grid, side.dx, side.dy, i));
+        }
+    }
+
+    for(const dx of [-1, 1]) {
+        for(const dy of [-1, 1]) {
+            const grid = getNeighborGrid(dx, dy);
+
+            if(grid) {
+                edges.diagonals[(dx < 0 ? -1 : size) + ":" + (dy < 0 ? -1 : size)] = getEdgeTile(grid, dx, dy, 0);
+            }
+        }
+    }
+
+    return edges;
+}
+
+// pick up the current edges of a legacy chunk's neighbours, gives the border columns to mesh again for them
+function refreshChunkJobEdges(instance, record) {
+    const edges = getChunkEdges(instance, record.data);
+    const cells = getChangedEdgeCells(record.job.edges, edges, record.data.data.length);
+
+    record.job.edges = edges;
+
+    return cells;
+}
+
+/**
+ * Find the border columns of a chunk whose neighbouring tiles differ between two sets of edges.
+ * The columns beside them come along, their corners and rounding look across as well.
+ * @param {object} oldEdges - edges the chunk was meshed with, from getChunkEdges
+ * @param {object} edges - the current edges
+ * @param {number} size - tiles per chunk side
+ * @returns {Array} [x, z] of every column to mesh again
+ */
+function getChangedEdgeCells(oldEdges, edges, size) {
+    const cells = [];
+
+    const addCells = function(x, z, alongX) {
+        for(const d of [-1, 0, 1]) {
+            const cx = alongX ? x + d : x;
+            const cz = alongX ? z : z + d;
+
+            if(cx >= 0 && cx < size && cz >= 0 && cz < size) {
+                cells.push([cx, cz]);
+            }
+        }
+    };
+
+    for(const side of CHUNK_EDGE_SIDES) {
+        const oldRow = oldEdges ? oldEdges[side.name] : null;
+        const row = edges[side.name];
+
+        for(let i = 0; i < size; i++) {
+            if(isSameEdgeTile(oldRow ? oldRow[i] : undefined, row ? row[i] : undefined)) {
+                continue;
+            }
+
+            if(side.dx) {
+                addCells(side.dx < 0 ? 0 : size - 1, i, false);
+            } else {
+                addCells(i, side.dy < 0 ? 0 : size - 1, true);
+            }
+        }
+    }
+
+    for(const dx of [-1, size]) {
+        for(const dz of [-1, size]) {
+            const key = dx + ":" + dz;
+            const oldTile = oldEdges && oldEdges.diagonals ? oldEdges.diagonals[key] : undefined;
+
+            if(!isSameEdgeTile(oldTile, edges.diagonals[key])) {
+                cells.push([dx < 0 ? 0 : size - 1, dz < 0 ? 0 : size - 1]);
+            }
+        }
+    }
+
+    return cells;
+}
+
+// undefined is a neighbour that isn't loaded, null an empty tile in one that is
+function isSameEdgeTile(a, b) {
+    if(a === b) {
+        return true;
+    }
+
+    if(!a || !b) {
+        return false;
+    }
+
+    if(a.z != b.z || a.isWater != b.isWater || a.isDepressed != b.isDepressed || a.slope != b.slope) {
+        return false;
+    }
+
+    const layersA = a.layers || [];
+    const layersB = b.layers || [];
+
+    return layersA.length == layersB.length && layersA.every((layer, i) => layer.from == layersB[i].from && layer.to == layersB[i].to);
+}
+
+/**
+ * Mesh some columns of a patched legacy or canvas chunk again and put the chunk's result back together.
+ * The first patch meshes every column once to start the per column cache.
+ * @param {object} record - the chunk's record, its columns cache is kept up to date
+ * @param {Array} cells - [x, z] of the columns to mesh again, ones outside the chunk are skipped
+ * @param {object} job - the job to mesh, a canvas chunk makes its own for each patch
+ * @returns {object} the result for patchLegacyChunk
+ */
+function meshChunkRecordColumns(record, cells, job = record.job) {
+
+    // greedy quads and heightfield corners reach past the changed columns
+    if(job.greedy || job.heightfield) {
+        return meshLegacyChunk(job);
+    }
+
+    if(!record.columns) {
+        record.columns = job.tiles.map((col, tx) => col.map((tile, ty) => meshLegacyChunkTile(job, tx, ty)));
+    } else {
+        const meshed = new Set();
+
+        for(const [tx, ty] of cells) {
+            const key = tx + ":" + ty;
+
+            if(meshed.has(key) || !record.columns[tx] || !record.columns[tx][ty]) {
+                continue;
+            }
+
+            meshed.add(key);
+            record.columns[tx][ty] = meshLegacyChunkTile(job, tx, ty);
+        }
+    }
+
+    return mergeLegacyChunkColumns(record.columns.flat(), job);
+}
+
+// mesh the loaded chunks around a chunk again when the edge they were meshed against is out of date,
+// a chunk that loads later or changes its border tiles hides or shows their edge faces
+function stitchChunkNeighbors(instance, chunkId) {
+    const record = instance.chunkRecords[chunkId];
+
+    if(!record || !record.data) {
+        return;
+    }
+
+    const data = record.data;
+    const rOrder = data.rOrder || "0";
+
+    for(let dx = -1; dx <= 1; dx++) {
+        for(let dy = -1; dy <= 1; dy++) {
+            if(dx == 0 && dy == 0) {
+                continue;
+            }
+
+            const neighborId = (data.x + dx) + ":" + (data.y + dy) + ":" + rOrder;
+            const neighbor = instance.chunkRecords[neighborId];
+
+            if(!neighbor || !neighbor.data || !neighbor.data.data) {
+                continue;
+            }
+
+            // chunks waiting on a deform are meshed again with it anyway
+            if(instance.pendingDeforms.some(deform => deform.chunks.includes(neighborId))) {
+                continue;
+            }
+
+            // canvas chunks bake their masks into the canvas, so the border tiles are painted again
+            if(!neighbor.job) {
+                const cells = getChangedEdgeCells(neighbor.edges, getChunkEdges(instance, neighbor.data), neighbor.data.data.length);
+
+                if(cells.length) {
+                    patchCanvasChunk(instance, neighborId, neighbor, cells);
+                }
+
+                continue;
+            }
+
+            const cells = refreshChunkJobEdges(instance, neighbor);
+
+            if(!cells.length) {
+                continue;
+            }
+
+            // far meshes are built without edges, only the full detail mesh changes
+            patchLegacyChunk(instance, neighborId, neighbor, meshChunkRecordColumns(neighbor, cells));
+            showChunkLod(instance, neighborId, neighbor, neighbor.lodLevel || 0);
+        }
+    }
+}
+
+// how much of a deform's delta reaches a tile, t is the distance as a fraction of the radius
+function getDeformFalloff(shape, t) {
+    if(shape == "flat") {
+        return 1;
+    }
+
+    if(shape == "cone") {
+        return 1 - t;
+    }
+
+    return (1 + Math.cos(t * Math.PI)) / 2;
+}
+
+function getObjectsOnTiles(instance, tiles) {
+    const onTiles = {};
+    const ids = [];
+
+    for(const tile of tiles) {
+        onTiles[tile.x + ":" + tile.y] = true;
+    }
+
+    for(const id in instance.objects) {
+        const obj = instance.objects[id];
+
+        if(onTiles[Math.floor(obj.x) + ":" + Math.floor(obj.y)]) {
+            ids.push(id);
+        }
+    }
+
+    return ids;
+}
+
+function refreshChunkDecals(instance, chunkId) {
+    for(const decalId in instance.decals) {
+        projectDecalOnChunk(instance, instance.decals[decalId], chunkId);
+    }
+}
+
+function removeChunkDecals(instance, chunkId) {
+    for(const decalId in instance.decals) {
+        removeDecalPiece(instance, instance.decals[decalId], chunkId);
+    }
+}
+
+// fade decals out over the end of their lifetime
+function updateDecals(instance) {
+    const now = performance.now();
+
+    for(const decalId in instance.decals) {
+        const decal = instance.decals[decalId];
+
+        if(!decal.lifetime) {
+            continue;
+        }
+
+        const left = decal.created + decal.lifetime - now;
+
+        if(left <= 0) {
+            instance.removeDecal(decalId);
+            continue;
+        }
+
+        const fade = Math.min(DECAL_FADE_TIME, decal.lifetime);
+
+        if(left < fade) {
+            decal.material.opacity = decal.opacity * left / fade;
+            instance.shouldRender = true;
+        }
+    }
+}
+
+function updateChunkMemory(instance, t) {
+    if(instance.lastChunkMemoryUpdate != null && t - instance.lastChunkMemoryUpdate < CHUNK_MEMORY_INTERVAL) {
+        return;
+    }
+
+    instance.lastChunkMemoryUpdate = t;
+
+    const frustum = getCameraFrustum(instance);
+
+    for(const chunkId in instance.chunkRecords) {
+        const record = instance.chunkRecords[chunkId];
+        const lod = record.lods && record.lods[record.lodLevel];
+        const mesh = lod ? lod.mesh : instance.chunks[chunkId];
+
+        if(isChunkInView(instance, frustum, record.data.x, record.data.y, mesh)) {
+            record.lastVisible = t;
+        }
+    }
+
+    disposeRetiredAtlasMaterials();
+
+    if(instance.memoryBudget) {
+        enforceMemoryBudget(instance, t);
+    }
+}
+
+function enforceMemoryBudget(instance, t) {
+    const budget = instance.memoryBudget;
+    const entries = [];
+
+    let geometryBytes = 0;
+    let canvasBytes = 0;
+
+    for(const chunkId in instance.chunkRecords) {
+        const entry = {
+            chunkId: chunkId,
+            record: instance.chunkRecords[chunkId],
+            geometryBytes: getChunkGeometryBytes(instance, chunkId, instance.chunkRecords[chunkId]),
+            canvasBytes: getChunkCanvasBytes(instance, chunkId)
+        };
+
+        geometryBytes += entry.geometryBytes;
+        canvasBytes += entry.canvasBytes;
+
+        entries.push(entry);
+    }
+
+    const isOver = function() {
+        return (budget.geometryBytes != undefined && geometryBytes > budget.geometryBytes) ||
+            (budget.canvasBytes != undefined && canvasBytes > budget.canvasBytes);
+    };
+
+    if(isOver()) {
+        // least recently visible first, anything in view right now stays
+        const candidates = entries.filter(entry => entry.record.lastVisible != t);
+
+        candidates.sort((a, b) => (a.record.lastVisible || 0) - (b.record.lastVisible || 0));
+
+        for(const entry of candidates) {
+            if(!isOver()) {
+                break;
+            }
+
+            evictChunk(instance, entry.chunkId, entry.record);
+
+            geometryBytes -= entry.geometryBytes;
+            canvasBytes -= entry.canvasBytes;
+        }
+    }
+
+    if(budget.atlasTextures != undefined && Object.keys(textureAtlas).length > budget.atlasTextures) {
+        collectAtlasGarbage();
+    }
+}
+
+function evictChunk(instance, chunkId, record) {
+    const data = record.data;
+    const rOrder = chunkId.split(":")[2];
+
+    instance.removeChunk(data.x, data.y, rOrder);
+
+    const streamer = instance.chunkStreamer;
+    const key = data.x + ":" + data.y;
+
+    if(streamer && streamer.loaded[key] == data) {
+        delete streamer.loaded[key];
+
+        streamer.evicted[key] = {
+            x: data.x,
+            y: data.y
+        };
+    }
+
+    if(instance.chunkEvictedFunction) {
+        instance.chunkEvictedFunction({
+            x: data.x,
+            y: data.y,
+            rOrder: rOrder,
+            data: data
+        });
+    }
+}
+
+function getCameraFrustum(instance) {
+    const camera = instance.activeCamera;
+
+    if(!camera) {
+        return null;
+    }
+
+    chunkViewMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    chunkViewFrustum.setFromProjectionMatrix(chunkViewMatrix);
+
+    return chunkViewFrustum;
+}
+
+// uses the mesh bounds when there is one, otherwise the chunk's whole column of space
+function isChunkInView(instance, frustum, x, y, mesh) {
+    if(!frustum) {
+        return true;
+    }
+
+    if(mesh && mesh.geometry) {
+        if(!mesh.geometry.boundingBox) {
+            mesh.geometry.computeBoundingBox();
+        }
+
+        chunkViewBox.copy(mesh.geometry.boundingBox).translate(mesh.position);
+    } else {
+        const size = instance.chunkSize * 2;
+        const heights = getInstanceHeightRange(instance);
+        const maxHeight = isFinite(heights.max) ? heights.max : WORLD_HEIGHT;
+
+        chunkViewBox.min.set(x * size, heights.min * 2, y * size);
+        chunkViewBox.max.set((x + 1) * size, maxHeight * 2, (y + 1) * size);
+    }
+
+    return frustum.intersectsBox(chunkViewBox);
+}
+
+function getChunkGeometryBytes(instance, chunkId, record) {
+    let bytes = getObjectGeometryBytes(instance.chunks[chunkId]) + getObjectGeometryBytes(instance.chunks[chunkId + "w"]);
+
+    for(const lodLevel in record.lods) {
+        const lod = record.lods[lodLevel];
+
+        bytes += getObjectGeometryBytes(lod.mesh) + getObjectGeometryBytes(lod.water);
+    }
+
+    return bytes;
+}
+
+function getObjectGeometryBytes(object) {
+    let bytes = 0;
+
+    if(!object) {
+        return bytes;
+    }
+
+    object.traverse(function(child) {
+        const geometry = child.geometry;
+
+        if(!geometry) {
+            return;
+        }
+
+        for(const name in geometry.attributes) {
+            bytes += geometry.attributes[name].array.byteLength;
+        }
+
+        if(geometry.index) {
+            bytes += geometry.index.array.byteLength;
+        }
+    });
+
+    return bytes;
+}
+
+function getChunkCanvasBytes(instance, chunkId) {
+    const canvasItems = chunkCanvases[chunkId + ":" + instance.id];
+
+    let bytes = 0;
+
+    if(!canvasItems) {
+        return bytes;
+    }
+
+    for(const canvas of [canvasItems.tx, canvasItems.bm, canvasItems.lm, canvasItems.nm, canvasItems.rm, canvasItems.mm]) {
+        if(canvas) {
+            bytes += canvas.width * canvas.height * 4;
+        }
+    }
+
+    return bytes;
+}
+
+// atlas materials are only freed once no chunk, far mesh or queued mesh job of any instance uses them
+function disposeRetiredAtlasMaterials() {
+    if(!retiredAtlasMaterials.length) {
+        return;
+    }
+
+    const inUse = new Set();
+
+    for(const id in scrollInstances) {
+        const instance = scrollInstances[id];
+
+        for(const chunkId in instance.chunkRecords) {
+            const record = instance.chunkRecords[chunkId];
+
+            inUse.add(record.material);
+            inUse.add(record.waterMaterial);
+
+            // far meshes of canvas chunks hold the atlas material they were built with, or its tile overlay version
+            for(const lodLevel in record.lods) {
+                const lod = record.lods[lodLevel];
+
+                inUse.add(lod.mesh.material.overlayBase || lod.mesh.material);
+
+                if(lod.water) {
+                    inUse.add(lod.water.material);
+                }
+            }
+        }
+    }
+
+    for(const meshJob of Object.values(chunkMeshJobs)) {
+        inUse.add(meshJob.material);
+        inUse.add(meshJob.waterMaterial);
+    }
+
+    const now = performance.now();
+
+    retiredAtlasMaterials = retiredAtlasMaterials.filter(function(retired) {
+        // meshes removed with a delay can still be on screen for a moment
+        if(now - retired.time < RETIRED_MATERIAL_GRACE) {
+            return true;
+        }
+
+        for(const material of [retired.material, retired.waterMaterial]) {
+            if(material && (inUse.has(material) || inUse.has(material.userData.greedyMaterial))) {
+                return true;
+            }
+        }
+
+        for(const material of [retired.material, retired.waterMaterial]) {
+            if(!material) {
+                continue;
+            }
+
+            if(material.userData.greedyMaterial) {
+                material.userData.greedyMaterial.dispose();
+            }
+
+            // a retired atlas has pages of its own, nothing current samples them
+            for(const uniform of Object.values(material.atlasUniforms || {})) {
+                if(uniform.value) {
+                    uniform.value.dispose();
+                }
+            }
+
+            material.dispose();
+        }
+
+        return false;
+    });
+}
+
+// pick the level for a chunk right away, used when a chunk is built or patched
+function refreshChunkLod(instance, chunkId, record) {
+    if(!instance.chunkLod || !record) {
+        return;
+    }
+
+    const level = getChunkLodLevel(instance, record);
+
+    if(level > 0 && !(record.lods && record.lods[level]) && !buildChunkLod(instance, record, level)) {
+        return;
+    }
+
+    showChunkLod(instance, chunkId, record, level);
+}
+
+function getChunkLodLevel(instance, record) {
+    const lod = instance.chunkLod;
+    const distance = getChunkDistance(instance, record.data);
+
+    let level = record.lodLevel || 0;
+
+    while(level < lod.levels.length && distance > lod.levels[level].distance + lod.hysteresis) {
+        level++;
+    }
+
+    while(level > 0 && distance < lod.levels[level - 1].distance - lod.hysteresis) {
+        level--;
+    }
+
+    return level;
+}
+
+function buildChunkLod(instance, record, level) {
+    const data = record.data;
+    const opts = instance.chunkLod.levels[level - 1];
+
+    let job = record.job;
+    let material = record.material;
+    let waterMaterial = record.waterMaterial;
+    let atlasIndices = null;
+
+    // canvas chunks have no atlas job of their own, the far mesh holds on to the textures it was built with
+    if(!job) {
+        job = createChunkMeshJob(instance, data);
+        material = curAtlasMaterial;
+        waterMaterial = curAtlasWaterMaterial;
+
+        if(job) {
+            atlasIndices = retainAtlasIndices(getJobAtlasIndices(job));
+        }
+    }
+
+    if(!job) {
+        return false;
+    }
+
+    const result = meshLegacyChunkLod(job, opts.factor || 1, opts.topsOnly);
+    const mesh = createLegacyChunkMesh(result.positions, result.normals, result.uvs, result.indices, data.x, data.y, instance.chunkSize, data.castShadow, material);
+
+    if(result.atlasTiles) {
+        mesh.geometry.setAttribute("atlasTile", new BufferAttribute(toFloat32Array(result.atlasTiles), 2));
+        mesh.material = getGreedyAtlasMaterial(mesh.material);
+    }
+
+    mesh.material = getTileOverlayMaterial(mesh.material, instance.tileOverlays[data.x + ":" + data.y + ":" + (data.rOrder || "0")]);
+
+    applyChunkShadowBias(mesh, instance);
+
+    mesh.visible = false;
+    instance.scene.add(mesh);
+
+    let water = null;
+
+    if(result.hasWater) {
+        water = createLegacyChunkMesh(result.waterPositions, result.waterNormals, result.waterUvs, result.waterIndices, data.x, data.y, instance.chunkSize, false, waterMaterial || material);
+        water.renderOrder = 1;
+        water.receiveShadow = false;
+        water.visible = false;
+
+        instance.scene.add(water);
+    }
+
+    if(!record.lods) {
+        record.lods = {};
+    }
+
+    record.lods[level] = {
+        mesh: mesh,
+        water: water,
+        atlasIndices: atlasIndices
+    };
+
+    return true;
+}
+
+// full detail meshes stay in the hit test list while hidden, picking keeps working on the real tiles
+function showChunkLod(instance, chunkId, record, level) {
+    const full = instance.chunks[chunkId];
+    const fullWater = instance.chunks[chunkId + "w"];
+
+    if(full) {
+        full.visible = level == 0;
+    }
+
+    if(fullWater) {
+        fullWater.visible = level == 0;
+    }
+
+    for(const lodLevel in record.lods) {
+        const lod = record.lods[lodLevel];
+
+        lod.mesh.visible = lodLevel == level;
+
+        if(lod.water) {
+            lod.water.visible = lodLevel == level;
+        }
+    }
+
+    const changed = (record.lodLevel || 0) != level;
+
+    record.lodLevel = level;
+
+    // decals go onto the mesh that's showing now
+    if(changed) {
+        refreshChunkDecals(instance, chunkId);
+    }
+}
+
+function resetChunkLods(instance, chunkId, record) {
+    disposeChunkLods(instance, record);
+    showChunkLod(instance, chunkId, record, 0);
+}
+
+function disposeChunkLods(instance, record) {
+    for(const lodLevel in record.lods) {
+        const lod = record.lods[lodLevel];
+
+        removeObjectFromThree(instance, lod.mesh, true);
+
+        if(lod.water) {
+            removeObjectFromThree(instance, lod.water, true);
+        }
+
+        releaseAtlasIndices(lod.atlasIndices);
+    }
+
+    record.lods = null;
+}
+
+function runChunkMeshQueue() {
+    while(chunkMeshQueue.length) {
+        const entry = getIdleChunkMeshWorker();
+
+        if(!entry) {
+            if(chunkMeshWorkersFailed) {
+                finishChunkMeshJobsInline(chunkMeshQueue.splice(0));
+            }
+
+            return;
+        }
+
+        // the camera may have moved since these were queued, so pick the nearest now
+        let nearest = 0;
+        let nearestDist = Infinity;
+
+        for(let i = 0; i < chunkMeshQueue.length; i++) {
+            const dist = getChunkMeshJobDistance(chunkMeshQueue[i]);
+
+            if(dist < nearestDist) {
+                nearest = i;
+                nearestDist = dist;
+            }
+        }
+
+        const meshJob = chunkMeshQueue.splice(nearest, 1)[0];
+
+        entry.job = meshJob;
+        entry.worker.postMessage({
+            id: meshJob.id,
+            job: meshJob.job
+        });
+    }
+}
+
+function getIdleChunkMeshWorker() {
+    for(const entry of chunkMeshWorkers) {
+        if(!entry.job) {
+            return entry;
+        }
+    }
+
+    let poolSize = chunkMeshPoolSize;
+
+    if(!poolSize) {
+        poolSize = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    }
+
+    if(chunkMeshWorkersFailed || chunkMeshWorkers.length >= poolSize) {
+        return null;
+    }
+
+    let worker;
+
+    try {
+        worker = new Worker(new URL("./chunkmeshworker.js", import.meta.url), { type: "module" });
+    } catch(ex) {
+        console.warn("Chunk mesh workers unavailable, meshing on the main thread.", ex);
+        chunkMeshWorkersFailed = true;
+        return null;
+    }
+
+    const entry = {
+        worker: worker,
+        job: null
+    };
+
+    worker.onmessage = function(e) {
+        onChunkMeshWorkerMessage(entry, e.data);
+    };
+
+    worker.onerror = function(e) {
+        onChunkMeshWorkerError(e);
+    };
+
+    chunkMeshWorkers.push(entry);
+
+    return entry;
+}
+
+function onChunkMeshWorkerMessage(entry, msg) {
+    const meshJob = entry.job;
+
+    entry.job = null;
+
+    if(meshJob && meshJob.id == msg.id && meshJob.stale && !meshJob.cancelled && !msg.error) {
+        // its tiles changed while the worker had it
+        meshJob.stale = false;
+        chunkMeshQueue.push(meshJob);
+    } else if(meshJob && meshJob.id == msg.id) {
+        if(chunkMeshJobs[meshJob.key] == meshJob) {
+            delete chunkMeshJobs[meshJob.key];
+        }
+
+        if(msg.error) {
+            console.warn("Chunk mesh worker error, meshing on the main thread.", msg.error);
+            finishChunkMeshJobsInline([meshJob]);
+        } else if(!meshJob.cancelled && meshJob.instance.scene) {
+            finishLegacyChunk(meshJob.instance, meshJob.data, meshJob.job, msg, meshJob.material, meshJob.waterMaterial);
+        }
+    }
+
+    runChunkMeshQueue();
+}
+
+// a worker that fails to load or crashes takes the whole pool down, everything left is meshed inline
+function onChunkMeshWorkerError(e) {
+    console.warn("Chunk mesh workers unavailable, meshing on the main thread.", e.message);
+
+    if(e.preventDefault) {
+        e.preventDefault();
+    }
+
+    chunkMeshWorkersFailed = true;
+
+    const pending = chunkMeshQueue.splice(0);
+
+    for(const entry of chunkMeshWorkers) {
+        if(entry.job) {
+            pending.push(entry.job);
+        }
+
+        entry.worker.terminate();
+    }
+
+    chunkMeshWorkers = [];
+
+    finishChunkMeshJobsInline(pending);
+}
+
+function finishChunkMeshJobsInline(meshJobs) {
+    for(const meshJob of meshJobs) {
+        if(chunkMeshJobs[meshJob.key] == meshJob) {
+            delete chunkMeshJobs[meshJob.key];
+        }
+
+        if(meshJob.cancelled || !meshJob.instance.scene) {
+            continue;
+        }
+
+        finishLegacyChunk(meshJob.instance, meshJob.data, meshJob.job, meshLegacyChunk(meshJob.job), meshJob.material, meshJob.waterMaterial);
+    }
 }
 
 export default {
@@ -10973,7 +14627,12 @@ export default {
     getOffset,
     forceResize,
     setTextureSize,
+    setTextureAtlasCapacity,
+    setTextureAtlasSeed,
+    exportTextureAtlas,
+    importTextureAtlas,
     setChunkTextureAtlas,
+    setTileAnimations,
     setMobileOptimizedTextures,
     setUseSimplifiedAtlas,
     loadImageAsync,
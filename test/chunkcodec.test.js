@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { encodeChunkData, decodeChunkData } from "../src/chunkcodec.js";
+
+function createChunk(size) {
+    const data = [];
+
+    for(let x = 0; x < size; x++) {
+        data.push([]);
+
+        for(let z = 0; z < size; z++) {
+            data[x].push({ z: (x + z) % 5 - 2, top: x < size / 2 ? "grass" : "#33aa55" });
+        }
+    }
+
+    return {
+        x: 3,
+        y: -2,
+        rOrder: "1",
+        castShadow: true,
+        defTexture: { top: "grass", middle: "dirt", noise: true },
+        data: data
+    };
+}
+
+test("a chunk comes back the same after encoding", function() {
+    const chunk = createChunk(16);
+
+    chunk.data[0][0] = null;
+    chunk.data[1][0] = {};
+    chunk.data[2][0] = { z: 1.5, isWater: true, top: "#3366aa" };
+    chunk.data[3][0] = { z: 4, speckles: [{ color: "#ffffff", chance: 5 }], roads: [{ dir: "n", color: "#555555", width: 4 }] };
+    chunk.data[4][0] = { z: 2, layers: [{ from: 6, to: 8, top: "stone" }], masks: { n: "sand" } };
+    chunk.data[5][0] = { z: 123456789, name: "tile ünïcode", empty: undefined };
+
+    const decoded = decodeChunkData(encodeChunkData(chunk));
+
+    assert.deepEqual(decoded, chunk);
+});
+
+test("repeated tiles encode smaller than they are as json", function() {
+    const chunk = createChunk(32);
+    const buffer = encodeChunkData(chunk);
+
+    assert.ok(buffer instanceof ArrayBuffer);
+    assert.ok(buffer.byteLength < JSON.stringify(chunk).length / 4);
+});
+
+test("a typed array view decodes like its buffer", function() {
+    const buffer = encodeChunkData(createChunk(8));
+
+    assert.deepEqual(decodeChunkData(new Uint8Array(buffer)), decodeChunkData(buffer));
+});
+
+test("data that isn't an encoded chunk is rejected", function() {
+    assert.throws(() => decodeChunkData(new Uint8Array([1, 2, 3, 4, 5, 6])), /not an encoded chunk/);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { meshLegacyChunk, meshLegacyChunkTile, meshLegacyChunkLod, mergeLegacyChunkColumns } from "../src/chunkmesher.js";
+
+function createTiles(size, getTile) {
+    const tiles = [];
+
+    for(let x = 0; x < size; x++) {
+        tiles.push([]);
+
+        for(let z = 0; z < size; z++) {
+            tiles[x].push(getTile(x, z));
+        }
+    }
+
+    return tiles;
+}
+
+function createTile(z) {
+    return { z: z, isWater: false, top: 1, middle: 2, bottom: 3 };
+}
+
+function createJob(tiles, options) {
+    return Object.assign({
+        tiles: tiles,
+        atlasPageCells: 64,
+        noSides: false,
+        greedy: false
+    }, options);
+}
+
+function countUpVertices(result) {
+    let count = 0;
+
+    for(let i = 0; i < result.normals.length; i += 3) {
+        if(result.normals[i + 1] == 1) {
+            count++;
+        }
+    }
+
+    return count;
+}
+
+test("greedy meshing merges a flat chunk's faces into one quad per side", function() {
+    const tiles = createTiles(4, () => createTile(2));
+
+    const plain = meshLegacyChunk(createJob(tiles));
+    const greedy = meshLegacyChunk(createJob(tiles, { greedy: true }));
+
+    assert.equal(countUpVertices(plain), 16 * 4);
+    assert.equal(countUpVertices(greedy), 4);
+    assert.ok(greedy.positions.length < plain.positions.length);
+
+    // atlas offset and width for every vertex
+    assert.equal(greedy.atlasTiles.length, greedy.positions.length / 3 * 2);
+    assert.equal(plain.atlasTiles, null);
+});
+
+test("joined columns come out the same as the whole chunk", function() {
+    const tiles = createTiles(4, (x, z) => createTile((x * 3 + z) % 4));
+    const job = createJob(tiles, { ambientOcclusion: 0.2 });
+
+    const whole = meshLegacyChunk(job);
+    const columns = tiles.map((col, x) => col.map((tile, z) => meshLegacyChunkTile(job, x, z)));
+    const joined = mergeLegacyChunkColumns(columns.flat(), job);
+
+    assert.deepEqual(joined.positions, whole.positions);
+    assert.deepEqual(joined.indices, whole.indices);
+    assert.deepEqual(joined.uvs, whole.uvs);
+    assert.deepEqual(joined.colors, whole.colors);
+});
+
+test("LOD factors are brought down to a divisor of the chunk size", function() {
+    const tiles = createTiles(16, (x, z) => createTile((x + z) % 3));
+    const job = createJob(tiles);
+
+    const five = meshLegacyChunkLod(job, 5, false);
+    const four = meshLegacyChunkLod(job, 4, false);
+
+    assert.deepEqual(five.positions, four.positions);
+
+    // the coarse mesh keeps the chunk's footprint
+    const xs = four.positions.filter((value, i) => i % 3 == 0);
+
+    assert.equal(Math.min(...xs), 0);
+    assert.equal(Math.max(...xs), 16);
+});
+
+test("LOD tops only leaves out the side walls", function() {
+    const tiles = createTiles(16, (x, z) => createTile((x + z) % 3));
+    const lod = meshLegacyChunkLod(createJob(tiles), 2, true);
+
+    for(let i = 0; i < lod.normals.length; i += 3) {
+        assert.equal(lod.normals[i], 0);
+        assert.equal(lod.normals[i + 2], 0);
+    }
+});
+
+test("ambient occlusion darkens corners beside a taller column only", function() {
+    const flat = meshLegacyChunk(createJob(createTiles(4, () => createTile(2)), { ambientOcclusion: 0.2 }));
+
+    assert.equal(flat.colors.length, flat.positions.length);
+    assert.ok(flat.colors.every(value => value == 1));
+
+    const tiles = createTiles(4, () => createTile(2));
+    tiles[1][1] = createTile(4);
+
+    const raised = meshLegacyChunk(createJob(tiles, { ambientOcclusion: 0.2 }));
+
+    assert.ok(Math.min(...raised.colors) < 1);
+    assert.ok(Math.min(...raised.colors) >= 0.4);
+
+    const none = meshLegacyChunk(createJob(tiles));
+
+    assert.equal(none.colors, null);
+});